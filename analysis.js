@@ -0,0 +1,336 @@
+// analysis.js - Scan analysis: rule evaluation, grades, timelines and client-facing wording
+// Pure functions of the payload - nothing here touches the store or sends anything, so the
+// emails can be rendered from a script as well as from the API.
+
+import { loadRuleset, evaluateRules, classifyPriority, DEFAULT_RULES_FILE, WINDOWS_RULES_FILE } from './rule-engine.js';
+import { computeDeviceTrends } from './trends.js';
+import { createTranslator } from './i18n.js';
+import { buildWindowsFacts, formatWindowsModelForClient, formatWindowsModelForInternal } from './windows-analysis.js';
+import { lookupMacModel, macFamilyName, isUncataloguedAppleSilicon } from './mac-models.js';
+import { buildMacOSFacts, appsOutOfReach, currentMacOS } from './macos-support.js';
+import { priceService, assertRulesetServices } from './services.js';
+import { assessRepairVsReplace } from './repair-vs-replace.js';
+
+// ========== HONEST ANALYSIS & FLAG DETECTION ==========
+// PRIORITY: HARDWARE upgrades (battery, RAM, storage, old systems) THEN security
+// Thresholds and wording live in the ruleset (rules/default.json for Macs, rules/windows.json
+// for PCs) - see rule-engine.js. Prices come from the service catalog the rules name SKUs in.
+
+export const ruleset = loadRuleset(process.env.RULES_FILE || DEFAULT_RULES_FILE);
+export const windowsRuleset = loadRuleset(process.env.WINDOWS_RULES_FILE || WINDOWS_RULES_FILE);
+assertRulesetServices(ruleset);
+assertRulesetServices(windowsRuleset);
+
+export function isWindows(data) {
+  return data.platform === 'windows';
+}
+
+function rulesetFor(data) {
+  return isWindows(data) ? windowsRuleset : ruleset;
+}
+
+function buildMacFacts(data) {
+  const model = lookupMacModel(data.macModel);
+  const modelYear = extractYear(data.macModel);
+  const appleSiliconNotCatalogued = isUncataloguedAppleSilicon(data.macModel);
+  const hasSolderedRAM = model ? !model.ramUpgradeable : appleSiliconNotCatalogued;
+
+  return {
+    modelYear,
+    modelName: model ? model.name : null,
+    chip: model ? model.chip : null,
+    appleSilicon: model ? model.chip.startsWith('Apple') : appleSiliconNotCatalogued,
+    maxRAM: model ? model.maxRAM : null,
+    hasSolderedRAM,
+    // Anything 2015 or older is treated as not worth upgrading too
+    ramUpgradeable: !(hasSolderedRAM || (modelYear && modelYear <= 2015)),
+    storageUpgradeable: model ? model.storageUpgradeable : undefined,
+    batteryRatedCycles: model ? model.batteryCycles : null,
+    lastMacOS: model ? model.lastMacOS : null,
+    // Apple Silicon Macs newer than the catalog all run the current macOS
+    ...buildMacOSFacts(data, model || (appleSiliconNotCatalogued ? { lastMacOS: null } : null))
+  };
+}
+
+// Everything the rules can look at: the raw payload plus values derived from it
+export function buildScanFacts(data) {
+  const hasBackupRecord = data.lastBackupDate && data.lastBackupDate !== 'Never' && data.lastBackupDate !== 'Unknown';
+
+  return {
+    ...data,
+    ...(isWindows(data) ? buildWindowsFacts(data) : buildMacFacts(data)),
+    batteryCycleCount: data.batteryCycles || 0,
+    memoryPressureLevel: data.memoryPressure || 'Normal',
+    daysSinceBackup: hasBackupRecord ? calculateDaysSinceBackup(data.lastBackupDate) : undefined,
+    pendingUpdateCount: parseInt(data.softwareUpdateStatus) || 0
+  };
+}
+
+// history: earlier stored scans of the same device, used for trend deltas
+export function analyzeScanResults(data, history = []) {
+  const rules = rulesetFor(data);
+  const facts = buildScanFacts(data);
+  const { flags, priorityScore, totalOpportunity, services } = evaluateRules(rules, facts, { priceService });
+
+  // Calculate priority level and system health
+  const criticalCount = flags.filter(f => f.severity === 'CRITICAL').length;
+  const moderateCount = flags.filter(f => f.severity === 'MODERATE').length;
+  const positiveCount = flags.filter(f => f.severity === 'POSITIVE').length;
+
+  const { priorityLevel, systemHealth } = classifyPriority(rules, {
+    criticalCount,
+    moderateCount,
+    positiveCount,
+    priorityScore
+  });
+
+  return {
+    flags,
+    priorityScore,
+    priorityLevel,
+    systemHealth,
+    criticalCount,
+    moderateCount,
+    positiveCount,
+    totalOpportunity,
+    // SKUs of every rule that fired - what a quote for this scan starts from
+    services,
+    repairVsReplace: assessRepairVsReplace(facts, flags),
+    flagCount: flags.length,
+    trends: computeDeviceTrends(history, data)
+  };
+}
+
+function calculateDaysSinceBackup(backupDate) {
+  try {
+    const backup = new Date(backupDate);
+    const now = new Date();
+    const diffTime = Math.abs(now - backup);
+    const diffDays = Math.ceil(diffTime / (1000 * 60 * 60 * 24));
+    return diffDays;
+  } catch {
+    return 0;
+  }
+}
+
+// Release year from the model catalog, or from a year in the string ("2014 MacBook Pro")
+export function extractYear(macModel) {
+  if (!macModel) return null;
+
+  const model = lookupMacModel(macModel);
+  if (model) return model.year;
+
+  const yearMatch = String(macModel).match(/20\d{2}/);
+  return yearMatch ? parseInt(yearMatch[0]) : null;
+}
+
+export function formatModelForClient(macModel, t = createTranslator()) {
+  // Convert "MacBookPro11,3" → "MacBook Pro 15-inch Retina 2013"
+  // For client-facing display (clean)
+  if (!macModel) return t('common.unknownModel');
+
+  const model = lookupMacModel(macModel);
+  if (model) return `${model.name} ${model.year}`;
+
+  const year = extractYear(macModel);
+  const modelName = macFamilyName(macModel);
+  return year ? `${modelName} ${year}` : modelName;
+}
+
+export function formatModelForInternal(macModel) {
+  // Convert "MacBookPro11,1" → "MacBookPro11,1 (2014)"
+  // For internal use (technical + year)
+  if (!macModel) return 'Unknown Model';
+  
+  const year = extractYear(macModel);
+  return year ? `${macModel} (${year})` : macModel;
+}
+
+// Model year from whatever dates the machine - the Mac model identifier or the PC's CPU generation
+export function getModelYear(data) {
+  return isWindows(data) ? buildWindowsFacts(data).modelYear : extractYear(data.macModel);
+}
+
+// What the client calls the machine in running text: "Your PC is in good condition..."
+export function deviceName(data) {
+  return isWindows(data) ? 'PC' : 'Mac';
+}
+
+export function formatSystemForClient(data, t = createTranslator()) {
+  return isWindows(data) ? formatWindowsModelForClient(data, t) : formatModelForClient(data.macModel, t);
+}
+
+export function formatSystemForInternal(data) {
+  return isWindows(data) ? formatWindowsModelForInternal(data) : formatModelForInternal(data.macModel);
+}
+
+export function getSoftwareCompatibilityExamples(data, t = createTranslator()) {
+  // Mac requirements come from catalog/macos-support.json and are as current as its "updated"
+  // date. Windows ones are hand-written - UPDATE QUARTERLY: last reviewed October 2026
+  
+  const modelYear = getModelYear(data);
+  const platform = data.platform || 'mac';
+  const ram = data.totalRAM || 0;
+  
+  let incompatible = [];
+  let limited = [];
+  
+  if (platform === 'mac') {
+    const { macosLatestVersion, macosLatestName, appleSilicon: isAppleSilicon } = buildMacFacts(data);
+    const current = currentMacOS();
+
+    // macOS - how far this model can upgrade
+    if (macosLatestVersion && macosLatestVersion !== current.version) {
+      incompatible.push(t('compatibility.apps.macosNewer', { version: current.version, name: current.name, lastVersion: macosLatestVersion, lastName: macosLatestName }));
+    } else if (macosLatestVersion && !isAppleSilicon) {
+      limited.push(t('compatibility.apps.latestMacos'));
+    }
+    
+    // Office, browsers, Canva - their current releases' minimum macOS
+    for (const app of appsOutOfReach(macosLatestVersion)) {
+      incompatible.push(t(`compatibility.apps.${app.id}`, { version: app.minMacOS.version, name: app.minMacOS.name }));
+    }
+    
+    // AI/LLM Applications (Ollama, etc)
+    if (!isAppleSilicon && (modelYear && modelYear <= 2018)) {
+      incompatible.push(t('compatibility.apps.localAiMac'));
+    } else if (ram < 16) {
+      limited.push(t('compatibility.apps.aiRam'));
+    }
+    
+  } else if (platform === 'windows') {
+    const { windowsVersion, windows11Ready } = buildWindowsFacts(data);
+
+    // Windows 11 - CPU, TPM 2.0, Secure Boot
+    if (windows11Ready === false) {
+      incompatible.push(t('compatibility.apps.windows11'));
+    }
+    
+    // Microsoft Office and modern browsers both dropped Windows 7/8.1
+    if (windowsVersion && windowsVersion < 10) {
+      incompatible.push(t('compatibility.apps.officeWindows'));
+      incompatible.push(t('compatibility.apps.browsersWindows'));
+    } else if (modelYear && modelYear <= 2014) {
+      incompatible.push(t('compatibility.apps.browsers'));
+    }
+    
+    // AI/LLM Applications
+    if (ram < 16) {
+      incompatible.push(t('compatibility.apps.localAiWindows'));
+    }
+  }
+  
+  return { incompatible, limited };
+}
+
+// ========== HONEST TIMELINE GENERATION ==========
+// Wording lives in locales/ - t defaults to English, the emails pass the client's language
+
+const TIMELINE_HEALTH = ['EXCELLENT', 'GOOD', 'MODERATE', 'NEEDS_ATTENTION', 'CRITICAL'];
+
+export function generateTimeline(analysis, data, t = createTranslator()) {
+  const key = TIMELINE_HEALTH.includes(analysis.systemHealth) ? analysis.systemHealth : 'default';
+  const device = deviceName(data);
+  return {
+    assessment: t(`timeline.${key}.assessment`, { device }),
+    proTip: t(`timeline.${key}.proTip`, { device })
+  };
+}
+
+// ========== HELPER FUNCTIONS FOR CLIENT EMAIL ==========
+
+export function getUrgencyTimeline(flag, t = createTranslator()) {
+  if (flag.severity === 'CRITICAL') {
+    if (flag.category === 'Hardware Age') return t('urgency.critical.hardwareAge');
+    if (flag.category === 'Battery') return t('urgency.critical.battery');
+    // Check if it's soldered RAM - don't suggest upgrade, suggest replacement
+    if (flag.category === 'Memory') {
+      if (flag.clientFacing.includes('soldered') || flag.clientFacing.includes('Cannot be upgraded')) {
+        return t('urgency.critical.solderedMemory');
+      }
+      return t('urgency.critical.memory');
+    }
+    if (flag.category === 'Storage') return t('urgency.critical.storage');
+    if (flag.category === 'Data Protection') return t('urgency.critical.dataProtection');
+    return t('urgency.critical.default');
+  }
+  if (flag.severity === 'MODERATE') {
+    if (flag.category === 'Battery') return t('urgency.moderate.battery');
+    if (flag.category === 'Memory') return t('urgency.moderate.memory');
+    if (flag.category === 'Storage') return t('urgency.moderate.storage');
+    if (flag.category === 'Security') return t('urgency.moderate.security');
+    if (flag.category === 'Maintenance') return t('urgency.moderate.maintenance');
+    return t('urgency.moderate.default');
+  }
+  return '';
+}
+
+// Matches on the English clientFacing text the ruleset produced - flags are stored in English
+export function getConsequence(flag, t = createTranslator()) {
+  // Add real-world consequences for service issues
+  if (flag.clientFacing.includes('No backup') || flag.clientFacing.includes('backup')) {
+    return t('consequence.backup');
+  }
+  if (flag.clientFacing.includes('encryption') || flag.clientFacing.includes('FileVault')) {
+    return t('consequence.encryption');
+  }
+  if (flag.clientFacing.includes('Firewall')) {
+    return t('consequence.firewall');
+  }
+  if (flag.clientFacing.includes('antivirus')) {
+    return t('consequence.antivirus');
+  }
+  if (flag.clientFacing.includes('Secure Boot')) {
+    return t('consequence.secureBoot');
+  }
+  if (flag.clientFacing.includes('Software updates') || flag.clientFacing.includes('updates') || flag.clientFacing.includes('security patches')) {
+    return t('consequence.updates');
+  }
+  if (flag.clientFacing.includes('can upgrade to macOS')) {
+    return t('consequence.macosUpgrade');
+  }
+  if (flag.clientFacing.includes('Login items') || flag.clientFacing.includes('startup')) {
+    return t('consequence.startup');
+  }
+  return '';
+}
+
+export function calculateSystemGrade(analysis, data, t = createTranslator()) {
+  const { priorityScore, criticalCount, moderateCount } = analysis;
+  const { totalRAM } = data;
+  
+  let grade = 'B';
+  let color = '#4caf50';
+  
+  // Grading logic - the HONEST, GROUNDED pro tip for each grade is in locales/
+  if (priorityScore >= 12 || criticalCount >= 4) {
+    grade = 'D-';
+    color = '#c62828';
+  } else if (priorityScore >= 10 || criticalCount >= 3) {
+    grade = 'D+';
+    color = '#d32f2f';
+  } else if (priorityScore >= 7 || criticalCount >= 2) {
+    grade = 'C-';
+    color = '#f57c00';
+  } else if (priorityScore >= 5 || criticalCount >= 1) {
+    grade = 'C+';
+    color = '#ffa726';
+  } else if (priorityScore >= 3 || moderateCount >= 2) {
+    grade = 'B-';
+    color = '#66bb6a';
+  } else if (priorityScore >= 1) {
+    grade = 'B+';
+    color = '#43a047';
+  } else if (totalRAM >= 16) {
+    grade = 'A';
+    color = '#2e7d32';
+  }
+  
+  // A+ reserved for near-perfect systems
+  if (priorityScore === 0 && criticalCount === 0 && moderateCount === 0 && totalRAM >= 32) {
+    grade = 'A+';
+    color = '#1b5e20';
+  }
+  
+  return { letter: grade, color, proTip: t(`grade.${grade}`, { device: deviceName(data) }) };
+}
@@ -0,0 +1,379 @@
+// bookings.js - Clients booking a recommended service into a technician's calendar
+// Open slots come from the weekly hours in rules/availability.json, minus days off and the
+// bookings already made, sized by the service's durationMinutes in catalog/services.json. A
+// client books from the hosted report (one link per recommended fix) or through POST /bookings;
+// either way the report link token is what proves they're the client. Booking moves the lead to
+// "booked", which ends its follow-ups, and both sides get a confirmation with a calendar invite.
+//
+// Every booking is a `bookings` record in the store:
+//   status: confirmed → cancelled
+// A slot is free while no confirmed booking for that technician overlaps it. A client holds at most
+// one upcoming booking per service and BOOKING_MAX_OPEN in all, so a replayed form or a script
+// with a report token can't fill the calendar.
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { insert, update, find, findById, normalizeEmail } from './store.js';
+import { hasService, serviceDuration, priceService } from './services.js';
+import { currentRoutingRules, DAYS, CLOCK, isTimeZone, clockMinutes } from './routing.js';
+import { findOpenLead, advanceLeadStage } from './leads.js';
+import { stopFollowUps } from './follow-ups.js';
+import { generateBookingEmail } from './reports.js';
+import { unsubscribeUrl, unsubscribeHeaders } from './suppression.js';
+
+export const AVAILABILITY_FILE = path.join(path.dirname(fileURLToPath(import.meta.url)), 'rules', 'availability.json');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_NOTES_LENGTH = 500;
+const MAX_OPEN_BOOKINGS = parseInt(process.env.BOOKING_MAX_OPEN) || 3;
+
+// ========== LOADING & VALIDATION ==========
+
+// Throws on a bad file so a typo stops the server at startup instead of offering impossible times
+export function loadAvailability(file = AVAILABILITY_FILE) {
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not load availability ${file}: ${error.message}`);
+  }
+  const where = `Availability ${file}`;
+
+  if (!isTimeZone(config.timeZone)) throw new Error(`${where} needs a "timeZone" like "America/New_York"`);
+  if (!(Number.isInteger(config.slotMinutes) && config.slotMinutes > 0 && config.slotMinutes <= 240)) {
+    throw new Error(`${where}: "slotMinutes" must be a whole number of minutes up to 240`);
+  }
+  if (!(typeof config.leadTimeHours === 'number' && config.leadTimeHours >= 0)) throw new Error(`${where}: "leadTimeHours" must be a number of hours`);
+  if (!(Number.isInteger(config.horizonDays) && config.horizonDays > 0 && config.horizonDays <= 90)) {
+    throw new Error(`${where}: "horizonDays" must be a whole number of days up to 90`);
+  }
+
+  if (!config.technicians || typeof config.technicians !== 'object' || Object.keys(config.technicians).length === 0) {
+    throw new Error(`${where} has no "technicians"`);
+  }
+  const { technicians } = currentRoutingRules();
+  for (const [id, schedule] of Object.entries(config.technicians)) {
+    const at = `${where}: technician ${id}`;
+    if (!Object.hasOwn(technicians, id)) throw new Error(`${at} isn't a technician in the routing rules`);
+    if (!Array.isArray(schedule.hours) || schedule.hours.length === 0) throw new Error(`${at} has no "hours"`);
+    schedule.hours.forEach((hours, i) => {
+      if (!Array.isArray(hours.days) || hours.days.length === 0 || !hours.days.every(day => DAYS.includes(day))) {
+        throw new Error(`${at} hours #${i}: "days" must list days from ${DAYS.join(', ')}`);
+      }
+      if (!CLOCK.test(hours.from || '') || !CLOCK.test(hours.to || '')) throw new Error(`${at} hours #${i}: "from" and "to" must be times like "09:00"`);
+      if (clockMinutes(hours.from) >= clockMinutes(hours.to)) throw new Error(`${at} hours #${i}: "to" must be later than "from"`);
+    });
+    schedule.daysOff = schedule.daysOff || [];
+    if (!Array.isArray(schedule.daysOff) || !schedule.daysOff.every(day => DATE.test(day))) {
+      throw new Error(`${at}: "daysOff" must list dates like "2026-12-25"`);
+    }
+  }
+
+  return { ...config, source: file, modifiedAt: fs.statSync(file).mtimeMs };
+}
+
+let availability = loadAvailability(process.env.AVAILABILITY_FILE || AVAILABILITY_FILE);
+
+// The hours as of now - reloaded when the file's modification time moves, like the routing rules
+export function currentAvailability() {
+  let modifiedAt;
+  try {
+    modifiedAt = fs.statSync(availability.source).mtimeMs;
+  } catch {
+    return availability;
+  }
+  if (modifiedAt === availability.modifiedAt) return availability;
+
+  try {
+    availability = loadAvailability(availability.source);
+    console.log(`🗓️ Availability reloaded: ${Object.keys(availability.technicians).length} technicians from ${availability.source}`);
+  } catch (error) {
+    console.error(`❌ ${error.message} - keeping the previous availability`);
+    availability.modifiedAt = modifiedAt;
+  }
+  return availability;
+}
+
+// Error message for a bad booking request, or null
+export function validateBookingRequest(body) {
+  if (!body || typeof body !== 'object') return 'body must be a JSON object';
+  if (typeof body.sku !== 'string' || !hasService(body.sku)) return 'sku must be a service from the catalog';
+  if (typeof body.start !== 'string' || Number.isNaN(Date.parse(body.start))) return 'start must be a slot start time from GET /availability';
+  if (body.notes !== undefined && body.notes !== null && !(typeof body.notes === 'string' && body.notes.length <= MAX_NOTES_LENGTH)) {
+    return `notes must be a string of at most ${MAX_NOTES_LENGTH} characters`;
+  }
+  return null;
+}
+
+// ========== TIME ZONES ==========
+
+// How far the time zone is ahead of UTC at that instant, in milliseconds
+function zoneOffset(instant, timeZone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', { timeZone, hourCycle: 'h23', year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit' })
+      .formatToParts(instant)
+      .map(part => [part.type, part.value])
+  );
+  const wall = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return wall - Math.floor(instant / 1000) * 1000;
+}
+
+// The instant it's `minutes` past midnight on `day` (YYYY-MM-DD) in the time zone. The second
+// pass catches a DST change between midnight UTC and the wall-clock time.
+function zonedInstant(day, minutes, timeZone) {
+  const [year, month, date] = day.split('-').map(Number);
+  const wall = Date.UTC(year, month - 1, date, 0, minutes);
+  const guess = wall - zoneOffset(wall, timeZone);
+  return wall - zoneOffset(guess, timeZone);
+}
+
+// YYYY-MM-DD of the instant in the time zone
+function zonedDay(instant, timeZone) {
+  return new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' }).format(instant);
+}
+
+function addDays(day, count) {
+  const [year, month, date] = day.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, date + count)).toISOString().slice(0, 10);
+}
+
+function weekday(day) {
+  return DAYS[new Date(`${day}T00:00:00Z`).getUTCDay()];
+}
+
+// ========== AVAILABILITY ==========
+
+// Start and end (ms) of every confirmed booking, per technician
+function busyTimes() {
+  const busy = {};
+  for (const booking of find('bookings', b => b.status === 'confirmed')) {
+    (busy[booking.technician] ||= []).push([Date.parse(booking.start), Date.parse(booking.end)]);
+  }
+  return busy;
+}
+
+// Every free { start, end, technician } for the service over `days` days from `from`, kept
+// between the lead time and the horizon. Technicians since removed from routing are skipped.
+function freeSlots(sku, { from, days, now }) {
+  const config = currentAvailability();
+  const { technicians } = currentRoutingRules();
+  const durationMs = serviceDuration(sku) * 60 * 1000;
+  const earliest = now.getTime() + config.leadTimeHours * HOUR_MS;
+  const latest = now.getTime() + config.horizonDays * DAY_MS;
+  const firstDay = zonedDay(Math.max(from.getTime(), earliest), config.timeZone);
+  const busy = busyTimes();
+  const slots = [];
+
+  for (const [technician, schedule] of Object.entries(config.technicians)) {
+    if (!Object.hasOwn(technicians, technician)) continue;
+    const booked = busy[technician] || [];
+
+    for (let i = 0; i < days; i++) {
+      const day = addDays(firstDay, i);
+      if (schedule.daysOff.includes(day)) continue;
+
+      for (const hours of schedule.hours.filter(h => h.days.includes(weekday(day)))) {
+        const close = zonedInstant(day, clockMinutes(hours.to), config.timeZone);
+        for (let minutes = clockMinutes(hours.from); ; minutes += config.slotMinutes) {
+          const start = zonedInstant(day, minutes, config.timeZone);
+          const end = start + durationMs;
+          if (end > close) break;
+          if (start < earliest || start > latest) continue;
+          if (booked.some(([busyStart, busyEnd]) => start < busyEnd && busyStart < end)) continue;
+          slots.push({ start, end, technician });
+        }
+      }
+    }
+  }
+
+  return slots.sort((a, b) => a.start - b.start);
+}
+
+// Open start times for the service - one entry per time, whoever is free then. from is a Date
+// or a YYYY-MM-DD day in the business's time zone; days is capped at the horizon.
+export function availableSlots(sku, { from = new Date(), days = 7, now = new Date() } = {}) {
+  const config = currentAvailability();
+  const fromDate = typeof from === 'string' ? new Date(zonedInstant(from, 0, config.timeZone)) : from;
+  const seen = new Set();
+  const slots = [];
+
+  for (const slot of freeSlots(sku, { from: fromDate, days: Math.min(days, config.horizonDays), now })) {
+    if (seen.has(slot.start)) continue;
+    seen.add(slot.start);
+    slots.push({ start: new Date(slot.start).toISOString(), end: new Date(slot.end).toISOString() });
+  }
+  return { timeZone: config.timeZone, durationMinutes: serviceDuration(sku), slots };
+}
+
+export function bookingHorizonDays() {
+  return currentAvailability().horizonDays;
+}
+
+// ========== BOOKING ==========
+
+// The technician the lead was last routed to, when they're free - otherwise the first who is
+function pickTechnician(candidates, clientEmail) {
+  const routed = findOpenLead(clientEmail)?.routing?.at(-1)?.technician;
+  return candidates.find(slot => slot.technician === routed) || candidates[0];
+}
+
+// Confirmed bookings of the client's that haven't ended yet
+function openBookings(clientEmail, now) {
+  const address = normalizeEmail(clientEmail);
+  return find('bookings', b => b.status === 'confirmed' && b.clientEmail === address && Date.parse(b.end) > now.getTime());
+}
+
+// Books the slot starting at `start` for the scan's client - returns { booking } or { error }:
+// unavailable (nobody is free then - taken since the client loaded the times), alreadyBooked (with
+// the booking the client already has for this service) or tooMany (count open bookings already).
+// source: report | api
+export function bookService(scan, { sku, start, notes = null, source }, now = new Date()) {
+  const open = openBookings(scan.clientEmail, now);
+  const sameService = open.find(b => b.sku === sku);
+  if (sameService) return { error: 'alreadyBooked', booking: sameService };
+  if (open.length >= MAX_OPEN_BOOKINGS) return { error: 'tooMany', count: open.length };
+
+  const startMs = Date.parse(start);
+  const candidates = freeSlots(sku, { from: new Date(startMs), days: 1, now }).filter(slot => slot.start === startMs);
+  if (candidates.length === 0) return { error: 'unavailable' };
+
+  const slot = pickTechnician(candidates, scan.clientEmail);
+  const technician = currentRoutingRules().technicians[slot.technician];
+  const lead = findOpenLead(scan.clientEmail);
+
+  const booking = insert('bookings', {
+    scanId: scan.id,
+    leadId: lead?.id || null,
+    clientEmail: normalizeEmail(scan.clientEmail),
+    clientName: scan.clientName,
+    sku,
+    serviceName: priceService(sku).name,
+    technician: slot.technician,
+    technicianName: technician.name,
+    technicianEmail: technician.email,
+    start: new Date(slot.start).toISOString(),
+    end: new Date(slot.end).toISOString(),
+    timeZone: currentAvailability().timeZone,
+    notes: notes ? notes.trim() || null : null,
+    source,
+    status: 'confirmed',
+    cancelledAt: null,
+    deliveryIds: []
+  });
+
+  advanceLeadStage(scan.clientEmail, 'booked', { by: 'booking' });
+  stopFollowUps(scan.clientEmail, 'booked');
+  console.log(`📆 Booked ${sku} for ${booking.clientEmail} with ${booking.technicianName} at ${booking.start}`);
+  return { booking };
+}
+
+export function getBooking(id) {
+  return findById('bookings', id);
+}
+
+// Frees the slot - returns null unless the booking was confirmed
+export function cancelBooking(id) {
+  const booking = findById('bookings', id);
+  if (!booking || booking.status !== 'confirmed') return null;
+  return update('bookings', id, { status: 'cancelled', cancelledAt: new Date().toISOString() });
+}
+
+// Soonest first. from/to are ISO dates or times, technician an id from the routing rules.
+export function listBookings({ from, to, technician, status } = {}) {
+  return find('bookings', b =>
+    (!from || b.end >= from) &&
+    (!to || b.start < to) &&
+    (!technician || b.technician === technician) &&
+    (!status || b.status === status)
+  ).sort((a, b) => a.start.localeCompare(b.start));
+}
+
+// ========== CALENDAR INVITES ==========
+
+// 2026-10-20T13:00:00.000Z → 20261020T130000Z
+function icsTime(iso) {
+  return iso.replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function icsText(value) {
+  return String(value ?? '').replace(/\\/g, '\\\\').replace(/\r?\n/g, '\\n').replace(/[;,]/g, match => `\\${match}`);
+}
+
+// RFC 5545 lines are at most 75 octets - longer ones continue on lines starting with a space
+function foldLine(line) {
+  const folded = [];
+  let current = '';
+  for (const char of line) {
+    if (Buffer.byteLength(current + char) > (folded.length === 0 ? 75 : 74)) {
+      folded.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  folded.push(current);
+  return folded.join('\r\n ');
+}
+
+// An .ics invite for the booking - summary and description in the reader's language
+export function buildBookingIcs(booking, { summary, description }) {
+  return [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Dr.WinMac Tech Solutions//Velocity Strip-Search//EN',
+    'METHOD:PUBLISH',
+    'BEGIN:VEVENT',
+    `UID:${booking.id}@drwinmac.tech`,
+    `DTSTAMP:${icsTime(booking.createdAt)}`,
+    `DTSTART:${icsTime(booking.start)}`,
+    `DTEND:${icsTime(booking.end)}`,
+    `SUMMARY:${icsText(summary)}`,
+    `DESCRIPTION:${icsText(description)}`,
+    `ORGANIZER;CN=${icsText(booking.technicianName)}:mailto:${booking.technicianEmail}`,
+    'STATUS:CONFIRMED',
+    'END:VEVENT',
+    'END:VCALENDAR'
+  ].map(foldLine).join('\r\n') + '\r\n';
+}
+
+// Confirmation to the client (their language, with an unsubscribe link like every client email)
+// and to the technician, each with the invite attached. baseUrl is where links point.
+export function sendBookingConfirmations(booking, scan, emailQueue, { baseUrl = '' } = {}) {
+  const emails = [
+    {
+      kind: 'booking',
+      from: 'Velocity Strip-Search <scanner@drwinmac.tech>',
+      to: booking.clientEmail,
+      email: generateBookingEmail(booking, scan, { unsubscribeUrl: unsubscribeUrl(booking.clientEmail, baseUrl) }),
+      headers: unsubscribeHeaders(booking.clientEmail, baseUrl)
+    },
+    {
+      kind: 'booking-internal',
+      from: 'Velocity Leads <leads@drwinmac.tech>',
+      to: booking.technicianEmail,
+      email: generateBookingEmail(booking, scan, { forTechnician: true })
+    }
+  ];
+
+  const deliveries = emails.map(({ kind, from, to, email, headers }) => emailQueue.enqueue({
+    scanId: scan.id,
+    kind,
+    message: {
+      from,
+      to,
+      subject: email.subject,
+      html: email.html,
+      text: email.text,
+      ...(headers && { headers }),
+      attachments: [{
+        filename: 'booking.ics',
+        content: buildBookingIcs(booking, email.invite),
+        contentType: 'text/calendar; charset=utf-8; method=PUBLISH'
+      }]
+    }
+  }));
+
+  return update('bookings', booking.id, { deliveryIds: deliveries.map(d => d.id) });
+}
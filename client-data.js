@@ -0,0 +1,142 @@
+// client-data.js - Data-subject requests and the scan retention schedule
+// A client can ask for a copy of everything we hold about them (GET /clients/:email/export) or
+// for all of it to be deleted (DELETE /clients/:email). A scan carries the whole hardware
+// inventory and every email rendered from it, so erasing a client means the scans plus
+// everything keyed by them: report links, quotes, deliveries, webhook events, leads, follow-ups
+// and bookings. A suppression entry outlives the erasure as a bare hash so an unsubscribe holds.
+//
+// Scans older than SCAN_RETENTION_DAYS are purged the same way by a daily sweep. The lead survives
+// a purge with the scan dropped from its history; a closed lead with no scans left goes too.
+
+import { find, update, removeWhere, normalizeEmail, listAbuse, forgetAbuse } from './store.js';
+import { summarizeDelivery } from './email-queue.js';
+import { getSuppression, forgetSuppressedAddress } from './suppression.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// 0 keeps scans forever
+const configuredRetention = parseInt(process.env.SCAN_RETENTION_DAYS);
+export const SCAN_RETENTION_DAYS = Number.isNaN(configuredRetention) ? 730 : configuredRetention;
+
+const SWEEP_INTERVAL_MS = DAY_MS;
+
+// Records that hang off a scan by scanId
+const SCAN_RECORDS = ['reportLinks', 'quotes', 'deliveries', 'emailEvents', 'followUps', 'bookings'];
+
+// ========== EXPORT ==========
+
+function withoutSecrets(record, ...fields) {
+  const copy = { ...record };
+  fields.forEach(field => delete copy[field]);
+  return copy;
+}
+
+// Everything stored about the client, or null when there's nothing. Token hashes and stop tokens
+// are left out - they're credentials, not personal data.
+export function exportClientData(email) {
+  const clientEmail = normalizeEmail(email);
+  const scans = find('scans', scan => scan.clientEmail === clientEmail);
+  const scanIds = new Set(scans.map(scan => scan.id));
+  const byScan = name => find(name, record => scanIds.has(record.scanId));
+
+  const records = {
+    scans,
+    leads: find('leads', lead => lead.clientEmail === clientEmail),
+    quotes: byScan('quotes'),
+    reportLinks: byScan('reportLinks').map(link => withoutSecrets(link, 'tokenHash')),
+    deliveries: find('deliveries', d => scanIds.has(d.scanId) || normalizeEmail(d.message.to) === clientEmail).map(summarizeDelivery),
+    emailEvents: find('emailEvents', e => scanIds.has(e.scanId) || (e.from && normalizeEmail(e.from) === clientEmail)),
+    followUps: find('followUps', f => f.clientEmail === clientEmail).map(f => withoutSecrets(f, 'stopToken')),
+    followUpOptOuts: find('followUpOptOuts', o => o.clientEmail === clientEmail),
+    bookings: find('bookings', b => b.clientEmail === clientEmail),
+    abuseLog: listAbuse({ limit: Infinity, recipient: clientEmail })
+  };
+  const suppression = getSuppression(clientEmail);
+
+  if (!suppression && Object.values(records).every(list => list.length === 0)) return null;
+  return { clientEmail, exportedAt: new Date().toISOString(), ...records, suppression };
+}
+
+// ========== ERASURE ==========
+
+// Removes the scans and every record keyed by them - returns { collection: count }
+function removeScans(scanIds) {
+  const removed = { scans: removeWhere('scans', scan => scanIds.has(scan.id)).length };
+  for (const name of SCAN_RECORDS) {
+    removed[name] = removeWhere(name, record => scanIds.has(record.scanId)).length;
+  }
+  return removed;
+}
+
+// Deletes everything about the client - returns the counts removed per collection, or null when
+// there was nothing to remove
+export function eraseClientData(email) {
+  const clientEmail = normalizeEmail(email);
+  const scanIds = new Set(find('scans', scan => scan.clientEmail === clientEmail).map(scan => scan.id));
+  const removed = removeScans(scanIds);
+
+  // Records that name the client without pointing at one of their scans
+  removed.deliveries += removeWhere('deliveries', d => normalizeEmail(d.message.to) === clientEmail).length;
+  removed.emailEvents += removeWhere('emailEvents', e => e.from && normalizeEmail(e.from) === clientEmail).length;
+  removed.followUps += removeWhere('followUps', f => f.clientEmail === clientEmail).length;
+  removed.bookings += removeWhere('bookings', b => b.clientEmail === clientEmail).length;
+  removed.leads = removeWhere('leads', lead => lead.clientEmail === clientEmail).length;
+  removed.followUpOptOuts = removeWhere('followUpOptOuts', o => o.clientEmail === clientEmail).length;
+  removed.abuseLog = forgetAbuse(clientEmail);
+
+  const suppression = forgetSuppressedAddress(clientEmail);
+  const total = Object.values(removed).reduce((sum, count) => sum + count, 0);
+  if (total === 0 && !suppression) return null;
+
+  console.log(`🗑️ Client data erased: ${total} records${suppression ? ' - suppression kept as a hash' : ''}`);
+  return { removed, suppressionKept: Boolean(suppression) };
+}
+
+// ========== RETENTION ==========
+
+// Purges scans older than the retention window - returns the counts removed per collection
+export function purgeExpiredScans(now = new Date(), retentionDays = SCAN_RETENTION_DAYS) {
+  if (!retentionDays) return null;
+
+  const cutoff = new Date(now.getTime() - retentionDays * DAY_MS).toISOString();
+  const scanIds = new Set(find('scans', scan => scan.createdAt < cutoff).map(scan => scan.id));
+  if (scanIds.size === 0) return null;
+
+  const removed = removeScans(scanIds);
+
+  for (const lead of find('leads', lead => lead.scanIds.some(id => scanIds.has(id)))) {
+    const remaining = lead.scanIds.filter(id => !scanIds.has(id));
+    update('leads', lead.id, { scanIds: remaining, latestScanId: remaining[remaining.length - 1] || null });
+  }
+  removed.leads = removeWhere('leads', lead => lead.scanIds.length === 0 && lead.closedAt && lead.closedAt < cutoff).length;
+
+  console.log(`🧹 Retention: purged ${removed.scans} scans older than ${retentionDays} days`);
+  return removed;
+}
+
+// Sweeps at startup and once a day after
+export function createRetentionSweeper() {
+  let timer = null;
+
+  function tick() {
+    try {
+      purgeExpiredScans();
+    } catch (error) {
+      console.error('❌ Retention sweep error:', error);
+    }
+  }
+
+  return {
+    start() {
+      if (!SCAN_RETENTION_DAYS) return;
+      tick();
+      timer = setInterval(tick, SWEEP_INTERVAL_MS);
+      timer.unref();
+    },
+
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    }
+  };
+}
@@ -0,0 +1,212 @@
+// email-queue.js - Durable outgoing email queue with retries and a dead-letter list
+// Scan intake only enqueues; a worker drains the queue through the configured transport.
+// A failed internal send no longer 500s the client (who would resubmit and get a second
+// report) - it just retries on its own with exponential backoff.
+//
+// Every message is a `deliveries` record in the store:
+//   status: queued → sending → sent
+//                  ↘ retrying (nextAttemptAt) → ... → dead after maxAttempts
+//          queued/retrying → suppressed when the suppression list blocks this kind for the recipient at send time
+// Each attempt is appended to `attemptLog` so /scans/:id/deliveries shows what happened and when.
+
+import crypto from 'crypto';
+import { insert, update, find, findById } from './store.js';
+
+const MAX_ATTEMPTS = parseInt(process.env.EMAIL_MAX_ATTEMPTS) || 6;
+const RETRY_BASE_SECONDS = parseInt(process.env.EMAIL_RETRY_BASE_SECONDS) || 30;
+const RETRY_MAX_SECONDS = 60 * 60;
+const POLL_INTERVAL_MS = parseInt(process.env.EMAIL_QUEUE_POLL_MS) || 2000;
+
+// 30s, 1m, 2m, 4m, ... capped at an hour
+export function retryDelaySeconds(attempts) {
+  return Math.min(RETRY_BASE_SECONDS * 2 ** (attempts - 1), RETRY_MAX_SECONDS);
+}
+
+// Client emails reply to REPLY_ADDRESS plus-tagged with a per-delivery token (scanner+<token>@...),
+// so an inbound reply proves which email it answers. The From header proves nothing.
+const REPLY_ADDRESS = process.env.REPLY_ADDRESS || 'scanner@drwinmac.tech';
+const [REPLY_LOCAL, REPLY_DOMAIN] = REPLY_ADDRESS.toLowerCase().split('@');
+
+// "Velocity <scanner+3f9c...@drwinmac.tech>" → "3f9c..." - null for any other address
+function replyTokenOf(address) {
+  const bare = (String(address).match(/<([^>]+)>/)?.[1] || String(address)).trim().toLowerCase();
+  const at = bare.lastIndexOf('@');
+  const [local, token] = bare.slice(0, at).split('+');
+  if (at === -1 || local !== REPLY_LOCAL || bare.slice(at + 1) !== REPLY_DOMAIN) return null;
+  return /^[0-9a-f]{32}$/.test(token || '') ? token : null;
+}
+
+// The delivery an inbound email answers, from the tagged address it was sent to - or null
+export function findRepliedDelivery(addresses) {
+  for (const address of addresses || []) {
+    const token = replyTokenOf(address);
+    const delivery = token && find('deliveries', d => d.replyToken === token)[0];
+    if (delivery) return delivery;
+  }
+  return null;
+}
+
+// Message bodies stay in the store but are too bulky for status listings. The reply token is a
+// credential and never leaves.
+export function summarizeDelivery(delivery) {
+  const { message, replyToken, ...rest } = delivery;
+  return { ...rest, to: message.to, subject: message.subject };
+}
+
+// onSent(delivery) runs after each successful send - used to stamp provider IDs onto the scan.
+// isSuppressed(address, kind) is asked right before every attempt, so an unsubscribe that lands
+// while a message waits for a retry still stops it.
+export function createEmailQueue({ transport, onSent = () => {}, isSuppressed = () => false }) {
+  let timer = null;
+  let draining = false;
+
+  function recordAttempt(delivery, entry) {
+    return [...(delivery.attemptLog || []), { at: new Date().toISOString(), ...entry }];
+  }
+
+  async function deliver(delivery) {
+    // Erased (DELETE /clients/:email) while it waited in this batch
+    if (!findById('deliveries', delivery.id)) return;
+
+    if (isSuppressed(delivery.message.to, delivery.kind)) {
+      update('deliveries', delivery.id, {
+        status: 'suppressed',
+        nextAttemptAt: null,
+        attemptLog: recordAttempt(delivery, { attempt: delivery.attempts, outcome: 'suppressed' })
+      });
+      console.log(`🔕 Email not sent - ${delivery.message.to} is on the suppression list (${delivery.kind})`);
+      return;
+    }
+
+    const attempts = delivery.attempts + 1;
+    update('deliveries', delivery.id, { status: 'sending', attempts });
+
+    let providerId;
+    try {
+      // Same key across automatic retries; a manual retry from the dead-letter list starts a new round
+      const idempotencyKey = `delivery-${delivery.id}-${delivery.retryRound || 0}`;
+      ({ id: providerId } = await transport.send(delivery.message, { idempotencyKey }));
+    } catch (error) {
+      const dead = attempts >= delivery.maxAttempts;
+      const delay = retryDelaySeconds(attempts);
+
+      update('deliveries', delivery.id, {
+        status: dead ? 'dead' : 'retrying',
+        lastError: error.message,
+        nextAttemptAt: dead ? null : new Date(Date.now() + delay * 1000).toISOString(),
+        attemptLog: recordAttempt(delivery, { attempt: attempts, outcome: 'failed', error: error.message })
+      });
+
+      if (dead) {
+        console.error(`☠️ Email dead-lettered after ${attempts} attempts: ${delivery.kind} → ${delivery.message.to}: ${error.message}`);
+      } else {
+        console.error(`⚠️ Email attempt ${attempts} failed (${delivery.kind} → ${delivery.message.to}), retrying in ${delay}s: ${error.message}`);
+      }
+      return;
+    }
+
+    const sent = update('deliveries', delivery.id, {
+      status: 'sent',
+      providerId,
+      transport: transport.name,
+      sentAt: new Date().toISOString(),
+      nextAttemptAt: null,
+      lastError: null,
+      attemptLog: recordAttempt(delivery, { attempt: attempts, outcome: 'sent', providerId })
+    });
+    console.log(`✅ Email sent: ${delivery.kind} → ${delivery.message.to} (attempt ${attempts})`);
+
+    // The email is out - a failing hook must never turn that into a retry and a second copy
+    try {
+      await onSent(sent);
+    } catch (error) {
+      console.error(`❌ onSent hook failed for delivery ${delivery.id}:`, error);
+    }
+  }
+
+  // Oldest due message first, one at a time - Resend rate limits are per second anyway
+  async function drain() {
+    if (draining) return;
+    draining = true;
+
+    try {
+      const now = new Date().toISOString();
+      const due = find('deliveries', d =>
+        d.status === 'queued' || (d.status === 'retrying' && d.nextAttemptAt <= now)
+      ).sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+      for (const delivery of due) {
+        await deliver(delivery);
+      }
+    } finally {
+      draining = false;
+    }
+  }
+
+  return {
+    // kind: 'client' | 'internal' | any label the caller wants to see in delivery listings.
+    // trackReplies tags the reply address so a reply from the recipient can be matched to this email.
+    enqueue({ scanId = null, kind, message, trackReplies = false }) {
+      const replyToken = trackReplies ? crypto.randomBytes(16).toString('hex') : null;
+      const delivery = insert('deliveries', {
+        scanId,
+        kind,
+        message: replyToken ? { ...message, replyTo: `${REPLY_LOCAL}+${replyToken}@${REPLY_DOMAIN}` } : message,
+        replyToken,
+        status: 'queued',
+        attempts: 0,
+        maxAttempts: MAX_ATTEMPTS,
+        nextAttemptAt: null,
+        lastError: null,
+        providerId: null,
+        sentAt: null,
+        attemptLog: []
+      });
+
+      // Kick the worker now instead of waiting for the next poll
+      setImmediate(() => drain().catch(error => console.error('❌ Email queue error:', error)));
+      return delivery;
+    },
+
+    start() {
+      // A crash mid-send leaves 'sending' behind - those go back in the queue
+      find('deliveries', d => d.status === 'sending').forEach(d => update('deliveries', d.id, { status: 'queued' }));
+
+      timer = setInterval(() => drain().catch(error => console.error('❌ Email queue error:', error)), POLL_INTERVAL_MS);
+      timer.unref();
+    },
+
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    },
+
+    drain,
+
+    listForScan(scanId) {
+      return find('deliveries', d => d.scanId === scanId)
+        .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    },
+
+    listDead() {
+      return find('deliveries', d => d.status === 'dead')
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    },
+
+    // Manual retry from the dead-letter list - gets a fresh set of attempts
+    retry(id) {
+      const delivery = findById('deliveries', id);
+      if (!delivery) return null;
+      if (delivery.status !== 'dead') return delivery;
+
+      const requeued = update('deliveries', id, {
+        status: 'queued',
+        attempts: 0,
+        nextAttemptAt: null,
+        retryRound: (delivery.retryRound || 0) + 1
+      });
+      setImmediate(() => drain().catch(error => console.error('❌ Email queue error:', error)));
+      return requeued;
+    }
+  };
+}
@@ -0,0 +1,133 @@
+// email-transport.js - Pluggable outgoing email
+// The route only ever calls transport.send(message). Which transport is behind it comes from
+// EMAIL_TRANSPORT, so local dev and tests never need a live Resend key:
+//
+//   resend - production (RESEND_API_KEY)
+//   smtp   - any SMTP relay (SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS)
+//   outbox - writes every rendered message to OUTBOX_DIR as JSON + HTML instead of sending
+//
+// message: { from, to, subject, html, text?, replyTo?, headers?, attachments? }
+// attachments: [{ filename, content, contentType }] - content is the file's text (or a Buffer)
+// send(message, { idempotencyKey }) resolves to { id } or throws - callers never check an error field.
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { Resend } from 'resend';
+import nodemailer from 'nodemailer';
+
+// ========== RESEND ==========
+
+export function createResendTransport({ apiKey }) {
+  if (!apiKey) throw new Error('Resend transport needs RESEND_API_KEY');
+  const resend = new Resend(apiKey);
+
+  return {
+    name: 'resend',
+
+    // idempotencyKey lets a retry after a timeout go through without Resend sending twice
+    async send(message, { idempotencyKey } = {}) {
+      // The API takes attachment content as base64 and the SDK passes strings through as-is
+      const attachments = message.attachments?.map(({ filename, content, contentType }) => ({
+        filename,
+        content: Buffer.from(content).toString('base64'),
+        contentType
+      }));
+      const { data, error } = await resend.emails.send({ ...message, attachments }, idempotencyKey ? { idempotencyKey } : undefined);
+      if (error) {
+        throw new Error(`Resend send to ${message.to} failed: ${error.message || error.name}`);
+      }
+      return { id: data?.id || null };
+    }
+  };
+}
+
+// ========== SMTP ==========
+
+export function createSmtpTransport({ host, port, secure, user, pass }) {
+  if (!host) throw new Error('SMTP transport needs SMTP_HOST');
+
+  const mailer = nodemailer.createTransport({
+    host,
+    port: port || (secure ? 465 : 587),
+    secure: Boolean(secure),
+    auth: user ? { user, pass } : undefined
+  });
+
+  return {
+    name: 'smtp',
+
+    async send(message) {
+      const info = await mailer.sendMail({
+        ...message,
+        attachments: message.attachments?.map(({ filename, content, contentType }) => ({ filename, content, contentType }))
+      });
+      return { id: info.messageId || null };
+    }
+  };
+}
+
+// ========== LOCAL OUTBOX ==========
+
+export function createOutboxTransport({ dir }) {
+  return {
+    name: 'outbox',
+    dir,
+
+    async send(message) {
+      const id = `outbox_${crypto.randomUUID()}`;
+      const sentAt = new Date().toISOString();
+      const base = `${sentAt.replace(/[:.]/g, '-')}-${id}`;
+
+      await fs.promises.mkdir(dir, { recursive: true });
+      await fs.promises.writeFile(path.join(dir, `${base}.json`), JSON.stringify({ id, sentAt, ...message }, null, 2));
+      // Separate .html so a rendered email can be opened straight in a browser
+      if (message.html) {
+        await fs.promises.writeFile(path.join(dir, `${base}.html`), message.html);
+      }
+
+      return { id };
+    },
+
+    // Oldest first - lets tests assert on exactly what went out
+    async list() {
+      let files = [];
+      try {
+        files = await fs.promises.readdir(dir);
+      } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+      }
+
+      const messages = await Promise.all(files
+        .filter(file => file.endsWith('.json'))
+        .sort()
+        .map(async file => JSON.parse(await fs.promises.readFile(path.join(dir, file), 'utf8'))));
+      return messages;
+    }
+  };
+}
+
+// ========== SELECTION ==========
+
+// Defaults to resend when a key is configured, otherwise the outbox - never a crash at startup
+export function createEmailTransport(env = process.env) {
+  const name = env.EMAIL_TRANSPORT || (env.RESEND_API_KEY ? 'resend' : 'outbox');
+
+  switch (name) {
+    case 'resend':
+      return createResendTransport({ apiKey: env.RESEND_API_KEY });
+    case 'smtp':
+      return createSmtpTransport({
+        host: env.SMTP_HOST,
+        port: parseInt(env.SMTP_PORT) || undefined,
+        secure: env.SMTP_SECURE === 'true',
+        user: env.SMTP_USER,
+        pass: env.SMTP_PASS
+      });
+    case 'outbox':
+      return createOutboxTransport({ dir: env.OUTBOX_DIR || path.join(process.cwd(), 'outbox') });
+    default:
+      throw new Error(`Unknown EMAIL_TRANSPORT "${name}" - use resend, smtp or outbox`);
+  }
+}
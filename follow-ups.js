@@ -0,0 +1,304 @@
+// follow-ups.js - Drip follow-up emails after a scan, from rules/follow-ups.json
+// A finding like an old backup is mentioned once in the report email and then forgotten, so each
+// scan starts the sequences whose condition it matches, and a scheduler in this process sends
+// their steps as they come due. Every step re-checks the lead first, so booking or closing it
+// stops the sequence instead of sending. A reply or an opt-out stops it as soon as it comes in,
+// and a rescan that no longer matches stops it too - the client fixed it. These are marketing
+// email, so nothing starts unless the scan carries the client's consent.
+//
+// Every sequence a lead is on is a `followUps` record in the store:
+//   status: active (step, nextDueAt) → completed
+//                                    ↘ stopped (stopReason)
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import { matches, validateCondition } from './rule-engine.js';
+import { insert, update, find, findById, getScan, normalizeEmail } from './store.js';
+import { buildLeadFacts } from './leads.js';
+import { createTranslator } from './i18n.js';
+import { createReportLink } from './report-links.js';
+import { generateFollowUpEmail } from './reports.js';
+import { isSuppressed, unsubscribeUrl, unsubscribeHeaders } from './suppression.js';
+
+export const FOLLOW_UP_SEQUENCES_FILE = path.join(path.dirname(fileURLToPath(import.meta.url)), 'rules', 'follow-ups.json');
+
+const POLL_INTERVAL_MS = parseInt(process.env.FOLLOW_UP_POLL_MS) || 60 * 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Steps that fell due while the server was down go out one per day, not all at once
+const MIN_GAP_MS = DAY_MS;
+
+// Lead stages that end every sequence
+const STOP_STAGES = ['booked', 'won', 'lost'];
+
+// ========== LOADING & VALIDATION ==========
+
+// Throws on a bad file so a typo stops the server at startup instead of mid-sequence
+export function loadFollowUpSequences(file = FOLLOW_UP_SEQUENCES_FILE) {
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not load follow-up sequences ${file}: ${error.message}`);
+  }
+  if (!Array.isArray(config.sequences)) throw new Error(`Follow-up sequences ${file} has no "sequences" array`);
+
+  const t = createTranslator();
+  const ids = new Set();
+  config.sequences.forEach((sequence, i) => {
+    const where = `Follow-up sequences ${file}: ${sequence.id || `#${i}`}`;
+    if (!sequence.id) throw new Error(`${where}: missing "id"`);
+    if (ids.has(sequence.id)) throw new Error(`Follow-up sequences ${file}: duplicate id "${sequence.id}"`);
+    ids.add(sequence.id);
+
+    validateCondition(sequence.when, `${where}.when`);
+    if (sequence.categories !== undefined && !(Array.isArray(sequence.categories) && sequence.categories.every(c => typeof c === 'string'))) {
+      throw new Error(`${where}: "categories" must be a list of flag categories`);
+    }
+    if (!Array.isArray(sequence.steps) || sequence.steps.length === 0) throw new Error(`${where} has no "steps"`);
+
+    sequence.steps.forEach((step, n) => {
+      if (!(typeof step.afterDays === 'number' && step.afterDays > 0)) throw new Error(`${where} step #${n}: "afterDays" must be a number of days`);
+      if (n > 0 && step.afterDays <= sequence.steps[n - 1].afterDays) throw new Error(`${where} step #${n}: steps must come later and later`);
+      for (const part of ['subject', 'body']) {
+        if (typeof t.lookup(`followUp.messages.${step.message}.${part}`) !== 'string') {
+          throw new Error(`${where} step #${n}: no followUp.messages.${step.message}.${part} in the English locale`);
+        }
+      }
+    });
+  });
+
+  return { ...config, source: file };
+}
+
+const config = loadFollowUpSequences(process.env.FOLLOW_UP_SEQUENCES_FILE || FOLLOW_UP_SEQUENCES_FILE);
+
+export const FOLLOW_UP_SEQUENCE_COUNT = config.sequences.length;
+export const FOLLOW_UP_SEQUENCES_SOURCE = config.source;
+
+function sequenceById(id) {
+  return config.sequences.find(sequence => sequence.id === id) || null;
+}
+
+// ========== ENROLLMENT ==========
+
+function stopRecord(followUp, reason) {
+  return update('followUps', followUp.id, { status: 'stopped', stopReason: reason, stoppedAt: new Date().toISOString(), nextDueAt: null });
+}
+
+function optedOut(clientEmail) {
+  const target = normalizeEmail(clientEmail);
+  return find('followUpOptOuts', o => o.clientEmail === target).length > 0;
+}
+
+// Runs for every scan. Starts the sequences it matches, moves running ones onto this scan so the
+// next email quotes the latest findings, and stops running ones it no longer matches. baseUrl
+// is where the emails' links point, taken from the request since the scheduler has none.
+export function scheduleFollowUps(scan, lead, { baseUrl = '', now = new Date() } = {}) {
+  const active = find('followUps', f => f.leadId === lead.id && f.status === 'active');
+  if (optedOut(scan.clientEmail) || isSuppressed(scan.clientEmail)) return [];
+
+  // A rescan without consent withdraws it - the latest answer is the one that counts
+  if (scan.consent?.marketing !== true) {
+    active.forEach(f => stopRecord(f, 'noConsent'));
+    return [];
+  }
+
+  const facts = buildLeadFacts(scan, lead);
+  const started = [];
+
+  for (const sequence of config.sequences) {
+    const running = active.find(f => f.sequence === sequence.id);
+    const matched = matches(sequence.when, facts);
+
+    if (running && !matched) {
+      stopRecord(running, 'resolved');
+    } else if (running) {
+      update('followUps', running.id, { scanId: scan.id, baseUrl });
+    } else if (matched) {
+      started.push(insert('followUps', {
+        leadId: lead.id,
+        scanId: scan.id,
+        clientEmail: normalizeEmail(scan.clientEmail),
+        sequence: sequence.id,
+        baseUrl,
+        // Plain, not hashed - the email needs it on every send, and all it can do is stop reminders
+        stopToken: crypto.randomBytes(24).toString('base64url'),
+        status: 'active',
+        step: 0,
+        startedAt: now.toISOString(),
+        nextDueAt: new Date(now.getTime() + sequence.steps[0].afterDays * DAY_MS).toISOString(),
+        sent: [],
+        stopReason: null,
+        stoppedAt: null
+      }));
+    }
+  }
+
+  return started;
+}
+
+// ========== STOPPING ==========
+
+// Never hand the stop token back over the API
+function publicFollowUp(followUp) {
+  const { stopToken, ...rest } = followUp;
+  return rest;
+}
+
+// Stops every running sequence for the client - reason is replied | unsubscribed | manual
+export function stopFollowUps(clientEmail, reason) {
+  const target = normalizeEmail(clientEmail);
+  return find('followUps', f => f.clientEmail === target && f.status === 'active').map(f => stopRecord(f, reason));
+}
+
+export function getFollowUp(id) {
+  const followUp = findById('followUps', id);
+  return followUp ? publicFollowUp(followUp) : null;
+}
+
+// Returns null unless the follow-up was running
+export function stopFollowUp(id, reason = 'manual') {
+  const followUp = findById('followUps', id);
+  if (!followUp || followUp.status !== 'active') return null;
+  return publicFollowUp(stopRecord(followUp, reason));
+}
+
+// No more follow-ups for this client, now or after later scans. source: link | complaint
+export function optOutOfFollowUps(clientEmail, source) {
+  const target = normalizeEmail(clientEmail);
+  if (!optedOut(target)) insert('followUpOptOuts', { clientEmail: target, source });
+  return stopFollowUps(target, 'unsubscribed');
+}
+
+function findByStopToken(token) {
+  if (!token || token.length > 100) return null;
+  return find('followUps', f => f.stopToken === token)[0] || null;
+}
+
+// What the "stop these reminders" link points at, without acting on it - { followUp, optedOut },
+// or null for an unknown token
+export function lookUpStopLink(token) {
+  const followUp = findByStopToken(token);
+  if (!followUp) return null;
+  return { followUp: publicFollowUp(followUp), optedOut: optedOut(followUp.clientEmail) };
+}
+
+// The stop page's button - returns the follow-up the link came from, or null for an unknown token
+export function unsubscribeFollowUps(token) {
+  const followUp = findByStopToken(token);
+  if (!followUp) return null;
+
+  optOutOfFollowUps(followUp.clientEmail, 'link');
+  return publicFollowUp(findById('followUps', followUp.id));
+}
+
+// Why this follow-up shouldn't send, or null - checked right before every step
+function stopReasonFor(followUp, lead, scan) {
+  if (!lead) return 'leadDeleted';
+  if (isSuppressed(followUp.clientEmail)) return 'suppressed';
+  if (STOP_STAGES.includes(lead.stage)) return lead.stage;
+  if (!scan) return 'scanDeleted';
+  if (!sequenceById(followUp.sequence)) return 'sequenceRemoved';
+  return null;
+}
+
+// ========== SENDING ==========
+
+export function listFollowUpsForLead(leadId) {
+  return find('followUps', f => f.leadId === leadId)
+    .sort((a, b) => a.startedAt.localeCompare(b.startedAt))
+    .map(publicFollowUp);
+}
+
+function sendStep(followUp, emailQueue, now) {
+  const sequence = sequenceById(followUp.sequence);
+  const step = sequence.steps[followUp.step];
+  const scan = getScan(followUp.scanId);
+
+  const reportLink = createReportLink(scan.id, { label: 'follow-up' });
+  const email = generateFollowUpEmail(scan, {
+    message: step.message,
+    categories: sequence.categories,
+    reportUrl: `${followUp.baseUrl}/report/${reportLink.token}`,
+    stopUrl: `${followUp.baseUrl}/follow-ups/stop/${followUp.stopToken}`,
+    unsubscribeUrl: unsubscribeUrl(scan.clientEmail, followUp.baseUrl),
+    now
+  });
+
+  const delivery = emailQueue.enqueue({
+    scanId: scan.id,
+    kind: 'follow-up',
+    trackReplies: true,
+    message: {
+      from: 'Velocity Strip-Search <scanner@drwinmac.tech>',
+      to: scan.clientEmail,
+      subject: email.subject,
+      html: email.html,
+      text: email.text,
+      headers: unsubscribeHeaders(scan.clientEmail, followUp.baseUrl)
+    }
+  });
+
+  const next = sequence.steps[followUp.step + 1];
+  const nextDueAt = next && new Date(Math.max(
+    new Date(followUp.startedAt).getTime() + next.afterDays * DAY_MS,
+    now.getTime() + MIN_GAP_MS
+  )).toISOString();
+
+  console.log(`📅 Follow-up ${sequence.id} step ${followUp.step + 1}/${sequence.steps.length} queued to ${scan.clientEmail}`);
+  return update('followUps', followUp.id, {
+    step: followUp.step + 1,
+    status: next ? 'active' : 'completed',
+    nextDueAt: next ? nextDueAt : null,
+    sent: [...followUp.sent, { step: followUp.step, message: step.message, scanId: scan.id, deliveryId: delivery.id, at: now.toISOString() }]
+  });
+}
+
+// Sends or stops every follow-up that's due - returns how many were sent
+export function runDueFollowUps(emailQueue, now = new Date()) {
+  const due = find('followUps', f => f.status === 'active' && f.nextDueAt <= now.toISOString())
+    .sort((a, b) => a.nextDueAt.localeCompare(b.nextDueAt));
+  let sent = 0;
+
+  for (const followUp of due) {
+    const reason = stopReasonFor(followUp, findById('leads', followUp.leadId), getScan(followUp.scanId));
+    if (reason) {
+      stopRecord(followUp, reason);
+      console.log(`🛑 Follow-up ${followUp.sequence} for ${followUp.clientEmail} stopped: ${reason}`);
+      continue;
+    }
+    sendStep(followUp, emailQueue, now);
+    sent++;
+  }
+  return sent;
+}
+
+// The in-process scheduler - checks for due steps every FOLLOW_UP_POLL_MS
+export function createFollowUpScheduler({ emailQueue }) {
+  let timer = null;
+
+  function tick() {
+    try {
+      runDueFollowUps(emailQueue);
+    } catch (error) {
+      console.error('❌ Follow-up scheduler error:', error);
+    }
+  }
+
+  return {
+    start() {
+      tick();
+      timer = setInterval(tick, POLL_INTERVAL_MS);
+      timer.unref();
+    },
+
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    }
+  };
+}
@@ -0,0 +1,140 @@
+// i18n.js - Message catalogs for everything the client reads
+// Catalogs live in locales/<locale>.json. en.json is the source of truth and the fallback: a key
+// missing from es.json renders in English rather than blank. The team-facing emails and work
+// orders stay in English.
+//
+// Messages are strings with {{param}} or {{param | format}} placeholders (see FORMATS), or plural
+// objects keyed by Intl.PluralRules category and picked by params.count:
+//   "issues": { "one": "{{count}} issue", "other": "{{count}} issues" }
+//
+// The "rules" section translates each rule's clientFacing text, keyed by rule id. Those are
+// rule-engine templates rendered against the scan facts, so they use its filters instead.
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { validateTemplate } from './rule-engine.js';
+
+export const DEFAULT_LOCALE = 'en';
+
+const LOCALE_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'locales');
+
+// Plural categories a catalog may use - "other" is always required
+const PLURAL_CATEGORIES = ['zero', 'one', 'two', 'few', 'many', 'other'];
+
+const FORMATS = {
+  // "March", or "March 2025" outside the current year
+  month: (value, locale) => {
+    const date = new Date(value);
+    const sameYear = date.getFullYear() === new Date().getFullYear();
+    return date.toLocaleString(locale, sameYear ? { month: 'long' } : { month: 'long', year: 'numeric' });
+  },
+  date: (value, locale) => new Date(value).toLocaleDateString(locale),
+  lower: value => String(value).toLowerCase()
+};
+
+// ========== LOADING & VALIDATION ==========
+
+function validateMessages(messages, where) {
+  for (const [key, message] of Object.entries(messages)) {
+    const at = `${where}.${key}`;
+    if (typeof message === 'string') continue;
+    if (!message || typeof message !== 'object' || Array.isArray(message)) {
+      throw new Error(`${at}: must be a string, a plural object or a section`);
+    }
+
+    const keys = Object.keys(message);
+    if (keys.some(k => PLURAL_CATEGORIES.includes(k))) {
+      if (typeof message.other !== 'string') throw new Error(`${at}: plural messages need an "other" form`);
+      const unknown = keys.find(k => !PLURAL_CATEGORIES.includes(k));
+      if (unknown) throw new Error(`${at}: unknown plural category "${unknown}"`);
+    } else {
+      validateMessages(message, at);
+    }
+  }
+}
+
+// Throws on a bad catalog so a typo stops the server at startup instead of mid-send
+function loadCatalogs(dir) {
+  const catalogs = {};
+
+  for (const file of fs.readdirSync(dir).filter(f => f.endsWith('.json')).sort()) {
+    const locale = path.basename(file, '.json');
+    let catalog;
+    try {
+      catalog = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+    } catch (error) {
+      throw new Error(`Could not load locale ${file}: ${error.message}`);
+    }
+
+    const { rules = {}, ...messages } = catalog;
+    validateMessages(messages, locale);
+    Object.entries(rules).forEach(([id, template]) => validateTemplate(template, `${locale} rules.${id}`));
+    catalogs[locale] = catalog;
+  }
+
+  if (!catalogs[DEFAULT_LOCALE]) throw new Error(`No ${DEFAULT_LOCALE}.json in ${dir}`);
+  return catalogs;
+}
+
+const catalogs = loadCatalogs(LOCALE_DIR);
+
+export const SUPPORTED_LOCALES = Object.keys(catalogs);
+
+// ========== TRANSLATION ==========
+
+// "es-MX" → "es", anything unsupported → DEFAULT_LOCALE
+export function resolveLocale(value) {
+  if (typeof value !== 'string') return DEFAULT_LOCALE;
+
+  const tag = value.trim().toLowerCase().replace(/_/g, '-');
+  if (catalogs[tag]) return tag;
+
+  const language = tag.split('-')[0];
+  return catalogs[language] ? language : DEFAULT_LOCALE;
+}
+
+function find(catalog, key) {
+  return key.split('.').reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), catalog);
+}
+
+// Like the rule templates, an empty placeholder drops the space before it
+function interpolate(message, params, locale) {
+  return message.replace(/( ?)\{\{([^}]+)\}\}/g, (_, space, expression) => {
+    const [name, format] = expression.split('|').map(part => part.trim());
+    const value = params[name];
+    if (value === undefined || value === null || value === '') return '';
+    return space + (format && FORMATS[format] ? FORMATS[format](value, locale) : String(value));
+  });
+}
+
+const translators = new Map();
+
+// t(key, params) for one locale. Unknown keys come back as the key itself so they're easy to spot.
+export function createTranslator(locale = DEFAULT_LOCALE) {
+  const resolved = resolveLocale(locale);
+  if (translators.has(resolved)) return translators.get(resolved);
+
+  const chain = [...new Set([resolved, DEFAULT_LOCALE])].map(l => catalogs[l]);
+  const pluralRules = new Intl.PluralRules(resolved);
+
+  // Raw message (string or plural object) from the first catalog that has it
+  const lookup = key => chain.map(catalog => find(catalog, key)).find(message => message !== undefined);
+
+  function t(key, params = {}) {
+    let message = lookup(key);
+    if (message === undefined) return key;
+    if (typeof message === 'object') {
+      message = message[pluralRules.select(Number(params.count) || 0)] ?? message.other;
+    }
+    return interpolate(message, params, resolved);
+  }
+
+  t.locale = resolved;
+  t.lookup = lookup;
+  // Only the locale's own catalog - rule text falls back to the ruleset's English, not en.json
+  t.rule = id => catalogs[resolved].rules?.[id];
+
+  translators.set(resolved, t);
+  return t;
+}
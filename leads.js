@@ -0,0 +1,212 @@
+// leads.js - Sales pipeline: one lead per client, fed by their scans
+// Each scan lands on the client's open lead (or starts one), so a client who rescans doesn't
+// show up twice. The team works the lead through LEAD_STAGES with an owner, notes and a next
+// follow-up date. routing.js picks the technician for each scan, and the decision is kept here.
+// Priority and opportunity are read from the lead's latest scan, so the engagement boost from
+// resend-webhooks.js shows up here without copying it around.
+
+import { insert, update, find, findById, remove, getScan, normalizeEmail } from './store.js';
+import { DEFAULT_LOCALE } from './i18n.js';
+
+export const LEAD_STAGES = ['new', 'contacted', 'quoted', 'booked', 'won', 'lost'];
+const CLOSED_STAGES = ['won', 'lost'];
+
+export const LEAD_SORTS = ['priorityScore', 'totalOpportunity'];
+
+const MAX_NOTE_LENGTH = 2000;
+const MAX_OWNER_LENGTH = 100;
+
+// ========== VALIDATION ==========
+
+function isDate(value) {
+  return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}/.test(value) && !Number.isNaN(Date.parse(value));
+}
+
+// Error message for a bad create/update body, or null. owner and nextFollowUpAt take null to clear.
+export function validateLeadFields(fields, { creating = false } = {}) {
+  if (!fields || typeof fields !== 'object') return 'body must be a JSON object';
+  if (creating && (typeof fields.clientEmail !== 'string' || !fields.clientEmail.includes('@'))) return 'clientEmail is required';
+  if (fields.clientName !== undefined && fields.clientName !== null && typeof fields.clientName !== 'string') return 'clientName must be a string';
+  if (fields.owner !== undefined && fields.owner !== null && !(typeof fields.owner === 'string' && fields.owner.trim() && fields.owner.length <= MAX_OWNER_LENGTH)) {
+    return `owner must be a name or email of at most ${MAX_OWNER_LENGTH} characters, or null`;
+  }
+  if (fields.stage !== undefined && !LEAD_STAGES.includes(fields.stage)) return `stage must be one of: ${LEAD_STAGES.join(', ')}`;
+  if (fields.nextFollowUpAt !== undefined && fields.nextFollowUpAt !== null && !isDate(fields.nextFollowUpAt)) {
+    return 'nextFollowUpAt must be an ISO date like 2026-11-02 or 2026-11-02T15:00:00Z, or null';
+  }
+  return null;
+}
+
+export function validateLeadNote(note) {
+  if (!note || typeof note.text !== 'string' || !note.text.trim()) return 'text is required';
+  if (note.text.length > MAX_NOTE_LENGTH) return `text must be at most ${MAX_NOTE_LENGTH} characters`;
+  if (note.author !== undefined && typeof note.author !== 'string') return 'author must be a string';
+  return null;
+}
+
+// ========== VIEWS ==========
+
+// Priority from the latest scan - the engagement-adjusted level when the client has been
+// reopening their report
+function scanSummary(lead) {
+  const scan = lead.latestScanId ? getScan(lead.latestScanId) : null;
+  if (!scan) return { priorityLevel: null, priorityScore: 0, totalOpportunity: 0, systemHealth: null };
+  return {
+    priorityLevel: scan.leadPriority?.level || scan.analysis.priorityLevel,
+    priorityScore: scan.leadPriority?.score ?? scan.analysis.priorityScore,
+    totalOpportunity: scan.analysis.totalOpportunity,
+    systemHealth: scan.analysis.systemHealth
+  };
+}
+
+function withScan(lead) {
+  return { ...lead, ...scanSummary(lead) };
+}
+
+// List view leaves out notes, stage and routing history - fetch a single lead for those
+function summarizeLead(lead) {
+  const { notes, stageHistory, routing, ...rest } = withScan(lead);
+  return { ...rest, noteCount: notes.length };
+}
+
+// ========== FACTS ==========
+
+function uniqueCategories(flags) {
+  return [...new Set(flags.map(flag => flag.category))];
+}
+
+// What routing and follow-up rules can look at, for a scan on its lead. categories covers the
+// flags that need work (critical and moderate), so "Security" in categories means there's a
+// security problem, not a passing check.
+export function buildLeadFacts(scan, lead) {
+  const { analysis, payload } = scan;
+  return {
+    priorityLevel: analysis.priorityLevel,
+    priorityScore: analysis.priorityScore,
+    systemHealth: analysis.systemHealth,
+    totalOpportunity: analysis.totalOpportunity,
+    criticalCount: analysis.criticalCount,
+    moderateCount: analysis.moderateCount,
+    categories: uniqueCategories(analysis.flags.filter(flag => flag.severity === 'CRITICAL' || flag.severity === 'MODERATE')),
+    criticalCategories: uniqueCategories(analysis.flags.filter(flag => flag.severity === 'CRITICAL')),
+    platform: payload.platform || 'mac',
+    locale: payload.locale || DEFAULT_LOCALE,
+    region: payload.region || null,
+    returningClient: lead.scanIds.length > 1
+  };
+}
+
+// ========== LEADS ==========
+
+// A client has at most one open lead - won and lost ones stay as history
+export function findOpenLead(clientEmail) {
+  const target = normalizeEmail(clientEmail);
+  return find('leads', lead => lead.clientEmail === target && !CLOSED_STAGES.includes(lead.stage))[0] || null;
+}
+
+function newLead({ clientEmail, clientName = null, owner = null, stage = 'new', nextFollowUpAt = null, scanIds = [] }) {
+  return insert('leads', {
+    clientEmail: normalizeEmail(clientEmail),
+    clientName,
+    owner: owner ? owner.trim() : null,
+    stage,
+    nextFollowUpAt,
+    scanIds,
+    latestScanId: scanIds[scanIds.length - 1] || null,
+    notes: [],
+    routing: [],
+    stageHistory: [{ stage, at: new Date().toISOString(), by: 'created' }],
+    closedAt: CLOSED_STAGES.includes(stage) ? new Date().toISOString() : null
+  });
+}
+
+// Every scan calls this - attaches it to the client's open lead, or opens a new one
+export function recordScanLead(scan) {
+  const lead = findOpenLead(scan.clientEmail);
+  if (!lead) {
+    return newLead({ clientEmail: scan.clientEmail, clientName: scan.clientName, scanIds: [scan.id] });
+  }
+  return update('leads', lead.id, {
+    clientName: lead.clientName || scan.clientName,
+    scanIds: [...lead.scanIds, scan.id],
+    latestScanId: scan.id
+  });
+}
+
+// For a client who called or emailed instead of scanning - fields as validated by validateLeadFields
+export function createLead(fields) {
+  const scan = fields.scanId ? getScan(fields.scanId) : null;
+  return withScan(newLead({ ...fields, scanIds: scan ? [scan.id] : [] }));
+}
+
+export function getLead(id) {
+  const lead = findById('leads', id);
+  return lead ? withScan(lead) : null;
+}
+
+// by: who made the change, for the stage history
+export function updateLead(id, fields, { by = 'admin' } = {}) {
+  const lead = findById('leads', id);
+  if (!lead) return null;
+
+  const changes = {};
+  if (fields.clientName !== undefined) changes.clientName = fields.clientName;
+  if (fields.owner !== undefined) changes.owner = fields.owner ? fields.owner.trim() : null;
+  if (fields.nextFollowUpAt !== undefined) changes.nextFollowUpAt = fields.nextFollowUpAt;
+  if (fields.stage !== undefined && fields.stage !== lead.stage) {
+    changes.stage = fields.stage;
+    changes.stageHistory = [...lead.stageHistory, { stage: fields.stage, at: new Date().toISOString(), by }];
+    changes.closedAt = CLOSED_STAGES.includes(fields.stage) ? new Date().toISOString() : null;
+  }
+
+  return withScan(update('leads', id, changes));
+}
+
+// Moves the client's open lead forward to stage - never back, so a quote sent to a client who
+// already booked leaves them booked
+export function advanceLeadStage(clientEmail, stage, { by = 'system' } = {}) {
+  const lead = findOpenLead(clientEmail);
+  if (!lead || LEAD_STAGES.indexOf(stage) <= LEAD_STAGES.indexOf(lead.stage)) return lead;
+  return updateLead(lead.id, { stage }, { by });
+}
+
+// Keeps routeLead's decision for a scan, and hands an unowned lead to that technician
+export function recordLeadRouting(id, decision) {
+  const lead = findById('leads', id);
+  if (!lead) return null;
+
+  return update('leads', id, {
+    routing: [...(lead.routing || []), decision],
+    owner: lead.owner || decision.email
+  });
+}
+
+export function addLeadNote(id, { text, author }) {
+  const lead = findById('leads', id);
+  if (!lead) return null;
+
+  const note = { at: new Date().toISOString(), author: author || 'admin', text: text.trim() };
+  return withScan(update('leads', id, { notes: [...lead.notes, note] }));
+}
+
+export function deleteLead(id) {
+  return remove('leads', id);
+}
+
+// Highest priority first, opportunity breaking ties - or the other way round with
+// sort: 'totalOpportunity'. owner: 'none' lists unassigned leads.
+export function listLeads({ stage, owner, priority, followUpBefore, sort = 'priorityScore', limit = 50, offset = 0 } = {}) {
+  const stages = stage ? stage.split(',') : null;
+  const [first, second] = sort === 'totalOpportunity' ? ['totalOpportunity', 'priorityScore'] : ['priorityScore', 'totalOpportunity'];
+
+  const matches = find('leads', lead =>
+    (!stages || stages.includes(lead.stage)) &&
+    (!owner || (owner === 'none' ? !lead.owner : lead.owner === owner)) &&
+    (!followUpBefore || (lead.nextFollowUpAt && lead.nextFollowUpAt < followUpBefore))
+  )
+    .map(summarizeLead)
+    .filter(lead => !priority || lead.priorityLevel === priority)
+    .sort((a, b) => b[first] - a[first] || b[second] - a[second] || b.createdAt.localeCompare(a.createdAt));
+
+  return { total: matches.length, leads: matches.slice(offset, offset + limit) };
+}
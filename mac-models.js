@@ -0,0 +1,105 @@
+// mac-models.js - Mac model catalog: release year, name and upgradability by model identifier
+// The catalog (catalog/mac-models.json) is keyed by the exact identifier the scanner reports,
+// so "MacBookPro1,1" can never match "MacBookPro11,3" the way a substring check would. New
+// models are a data change - add a line to the catalog, no code.
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+export const MAC_MODELS_FILE = path.join(path.dirname(fileURLToPath(import.meta.url)), 'catalog', 'mac-models.json');
+
+// Field → check, for validating catalog entries at startup
+const FIELDS = {
+  name: value => typeof value === 'string' && value.length > 0,
+  year: value => Number.isInteger(value),
+  chip: value => typeof value === 'string',
+  maxRAM: value => typeof value === 'number' && value > 0,
+  ramUpgradeable: value => typeof value === 'boolean',
+  storageUpgradeable: value => typeof value === 'boolean',
+  batteryCycles: value => value === null || Number.isInteger(value),
+  lastMacOS: value => value === null || typeof value === 'string'
+};
+
+// Family names for models the catalog doesn't have yet - longer prefixes first
+const FAMILIES = [
+  ['MacBookPro', 'MacBook Pro'],
+  ['MacBookAir', 'MacBook Air'],
+  ['MacBook', 'MacBook'],
+  ['iMacPro', 'iMac Pro'],
+  ['iMac', 'iMac'],
+  ['Macmini', 'Mac mini'],
+  ['MacPro', 'Mac Pro'],
+  ['MacStudio', 'Mac Studio']
+];
+
+const IDENTIFIER = /^([A-Za-z]+)(\d+),(\d+)$/;
+
+// ========== LOADING ==========
+
+// Throws on a bad catalog so a typo stops the server at startup instead of misdating Macs
+export function loadMacModels(file = MAC_MODELS_FILE) {
+  let catalog;
+  try {
+    catalog = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not load Mac model catalog ${file}: ${error.message}`);
+  }
+
+  if (!catalog.models || typeof catalog.models !== 'object') throw new Error(`Mac model catalog ${file} has no "models" object`);
+
+  for (const [id, model] of Object.entries(catalog.models)) {
+    if (!IDENTIFIER.test(id)) throw new Error(`Mac model catalog ${file}: "${id}" is not a model identifier`);
+    for (const [field, valid] of Object.entries(FIELDS)) {
+      if (!valid(model[field])) throw new Error(`Mac model catalog ${file}: ${id} has a missing or invalid "${field}"`);
+    }
+  }
+
+  return catalog.models;
+}
+
+const models = loadMacModels();
+
+export const MAC_MODEL_COUNT = Object.keys(models).length;
+
+// Every lastMacOS the catalog uses, so the macOS support matrix can check it covers them
+export function lastMacOSNames() {
+  return new Set(Object.values(models).map(model => model.lastMacOS).filter(Boolean));
+}
+
+// ========== LOOKUP ==========
+
+// The catalog entry for an exact identifier ("MacBookPro11,3"), or null
+export function lookupMacModel(macModel) {
+  const id = String(macModel || '').trim();
+  return Object.hasOwn(models, id) ? { id, ...models[id] } : null;
+}
+
+// "MacBook Pro" for an identifier the catalog doesn't know yet ("MacBookPro19,1") or a
+// marketing name ("MacBook Pro (16-inch, 2019)"), "Mac" for anything else
+export function macFamilyName(macModel) {
+  const compact = String(macModel || '').replace(/\s+/g, '');
+  const family = FAMILIES.find(([prefix]) => compact.startsWith(prefix));
+  return family ? family[1] : 'Mac';
+}
+
+// The family for pricing and replacement - from the catalog name when there is one, since the
+// identifiers since 2022 ("Mac14,2") don't say which family they are ("MacBook Air 13-inch" does)
+export function macModelFamily(macModel) {
+  const model = lookupMacModel(macModel);
+  return macFamilyName(model ? model.name : macModel);
+}
+
+// Identifiers since the 2020 switch that aren't in the catalog yet - Apple Silicon, so the
+// RAM and storage are part of the chip package
+export function isUncataloguedAppleSilicon(macModel) {
+  const match = String(macModel || '').trim().match(IDENTIFIER);
+  if (!match || lookupMacModel(macModel)) return false;
+  const [, family, major] = match;
+  const generation = parseInt(major);
+  return family === 'Mac' ||
+    (family === 'MacBookPro' && generation >= 17) ||
+    (family === 'MacBookAir' && generation >= 10) ||
+    (family === 'iMac' && generation >= 21) ||
+    (family === 'Macmini' && generation >= 9);
+}
@@ -0,0 +1,138 @@
+// macos-support.js - macOS support matrix: which versions still get security fixes, and how far a Mac can upgrade
+// The matrix (catalog/macos-support.json) carries the date it was last reviewed. Apple doesn't
+// announce end of support, so an old matrix keeps calling unpatched versions patched - the
+// server warns at startup and flags it on /health once it's past STALE_AFTER_DAYS.
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { lastMacOSNames } from './mac-models.js';
+
+export const MACOS_SUPPORT_FILE = path.join(path.dirname(fileURLToPath(import.meta.url)), 'catalog', 'macos-support.json');
+
+// Quarterly review, with a couple of weeks' slack
+const STALE_AFTER_DAYS = 105;
+
+const VERSION = /^\d+(\.\d+)?$/;
+
+// ========== VERSIONS ==========
+
+// "10.15.7" → "10.15", "12.7.4" → "12", "26.0.1" → "26" - 10.x releases are named by their minor version
+export function parseMacOSVersion(osVersion) {
+  const match = String(osVersion || '').trim().match(/^(\d+)(?:\.(\d+))?/);
+  if (!match) return null;
+  return match[1] === '10' && match[2] !== undefined ? `10.${match[2]}` : match[1];
+}
+
+// Negative when a is older than b
+export function compareMacOSVersions(a, b) {
+  const [aMajor, aMinor = 0] = a.split('.').map(Number);
+  const [bMajor, bMinor = 0] = b.split('.').map(Number);
+  return aMajor - bMajor || aMinor - bMinor;
+}
+
+// ========== LOADING ==========
+
+// Throws on a bad matrix so a typo stops the server at startup instead of misreporting support
+export function loadMacOSSupport(file = MACOS_SUPPORT_FILE) {
+  let matrix;
+  try {
+    matrix = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not load macOS support matrix ${file}: ${error.message}`);
+  }
+
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(matrix.updated || '')) throw new Error(`macOS support matrix ${file}: "updated" must be a YYYY-MM-DD date`);
+  if (!Array.isArray(matrix.versions) || matrix.versions.length === 0) throw new Error(`macOS support matrix ${file} has no "versions" array`);
+
+  matrix.versions.forEach((entry, i) => {
+    const where = `macOS support matrix ${file}: versions[${i}]`;
+    if (!VERSION.test(entry.version || '')) throw new Error(`${where}: "version" must look like "15" or "10.15"`);
+    // null while a new release's name isn't confirmed - it then shows as just its version number
+    if (entry.name !== null && (typeof entry.name !== 'string' || !entry.name)) throw new Error(`${where}: "name" must be a string or null`);
+    if (typeof entry.securityUpdates !== 'boolean') throw new Error(`${where}: "securityUpdates" must be true or false`);
+    if (i > 0 && compareMacOSVersions(entry.version, matrix.versions[i - 1].version) >= 0) {
+      throw new Error(`${where}: versions must be listed newest first`);
+    }
+  });
+
+  for (const app of matrix.apps || []) {
+    if (typeof app.id !== 'string' || !VERSION.test(app.minMacOS || '')) {
+      throw new Error(`macOS support matrix ${file}: apps need an "id" and a "minMacOS" version`);
+    }
+  }
+
+  // The model catalog names each Mac's last macOS - every one of those has to be in here
+  const names = new Set(matrix.versions.map(entry => entry.name));
+  for (const name of lastMacOSNames()) {
+    if (!names.has(name)) throw new Error(`macOS support matrix ${file}: no entry for "${name}", used in the Mac model catalog`);
+  }
+
+  return { ...matrix, apps: matrix.apps || [], source: file };
+}
+
+const matrix = loadMacOSSupport();
+
+// For /health and the startup log
+export function macOSSupportStatus(now = new Date()) {
+  const ageDays = Math.floor((now - new Date(matrix.updated)) / (1000 * 60 * 60 * 24));
+  return { updated: matrix.updated, ageDays, stale: ageDays > STALE_AFTER_DAYS, source: matrix.source };
+}
+
+// ========== LOOKUP ==========
+
+export function findMacOS(version) {
+  return matrix.versions.find(entry => entry.version === version) || null;
+}
+
+export function currentMacOS() {
+  return matrix.versions[0];
+}
+
+function findMacOSByName(name) {
+  return matrix.versions.find(entry => entry.name === name) || null;
+}
+
+// The newest macOS a Mac runs: its catalog lastMacOS, or the current release when that's null.
+// model is the catalog entry; pass { lastMacOS: null } for a Mac known to be current.
+export function latestMacOSFor(model) {
+  if (!model) return null;
+  return model.lastMacOS ? findMacOSByName(model.lastMacOS) : matrix.versions[0];
+}
+
+// Apps from the matrix whose current release needs a newer macOS than the Mac can run
+export function appsOutOfReach(latestVersion) {
+  if (!latestVersion) return [];
+  return matrix.apps
+    .filter(app => compareMacOSVersions(latestVersion, app.minMacOS) < 0)
+    .map(app => ({ id: app.id, minMacOS: findMacOS(app.minMacOS) || { version: app.minMacOS, name: app.minMacOS } }));
+}
+
+// Roughly how many more years the newest macOS a Mac runs keeps getting security fixes - the
+// oldest patched version drops out with each yearly release. null while the Mac still gets new
+// releases, so its support isn't in sight yet.
+export function supportYearsLeft(model) {
+  if (!model || !model.lastMacOS) return null;
+  const latest = findMacOSByName(model.lastMacOS);
+  if (!latest || !latest.securityUpdates) return 0;
+  const patched = matrix.versions.filter(entry => entry.securityUpdates).length;
+  return Math.max(patched - matrix.versions.indexOf(latest), 0);
+}
+
+// Rule facts - undefined wherever the scan or the catalog didn't tell us
+export function buildMacOSFacts(data, model) {
+  const runningVersion = parseMacOSVersion(data.osVersion);
+  const running = runningVersion ? findMacOS(runningVersion) : null;
+  const latest = latestMacOSFor(model);
+
+  return {
+    macosVersion: runningVersion,
+    macosName: running ? running.name : null,
+    macosPatched: running ? running.securityUpdates : undefined,
+    macosLatestVersion: latest ? latest.version : null,
+    macosLatestName: latest ? latest.name : null,
+    macosLatestPatched: latest ? latest.securityUpdates : undefined,
+    macosUpgradeAvailable: running && latest ? compareMacOSVersions(latest.version, running.version) > 0 : undefined,
+    supportYearsLeft: supportYearsLeft(model)
+  };
+}
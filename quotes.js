@@ -0,0 +1,108 @@
+// quotes.js - Itemized service quotes for a scan, priced from the service catalog
+// A quote starts from the SKUs the scan's rules fired, or from the items the admin asks for, and
+// is priced for that scan's machine. Prices are frozen on the quote when it's created, so a
+// catalog change later doesn't alter what the client was sent. A range is quoted at its top end
+// and marked as an estimate - the client never pays more than the quote says.
+
+import { insert, find, update } from './store.js';
+import { buildScanFacts, analyzeScanResults } from './analysis.js';
+import { hasService, priceService, SERVICE_CURRENCY, SERVICE_TAX_RATE, QUOTE_VALID_DAYS } from './services.js';
+
+const MAX_ITEMS = 30;
+const MAX_QUANTITY = 20;
+
+function roundMoney(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+// ========== REQUEST VALIDATION ==========
+
+// Error message for a bad items array, or null. Each item is { sku, quantity?, unitPrice? } -
+// unitPrice sets a firm price, e.g. once the technician knows which RAM kit it takes.
+export function validateQuoteItems(items) {
+  if (!Array.isArray(items) || items.length === 0) return 'items must be a non-empty array';
+  if (items.length > MAX_ITEMS) return `a quote can have at most ${MAX_ITEMS} items`;
+
+  for (const [i, item] of items.entries()) {
+    if (!item || typeof item.sku !== 'string') return `items[${i}].sku is required`;
+    if (!hasService(item.sku)) return `items[${i}].sku "${item.sku}" is not in the service catalog`;
+    if (item.quantity !== undefined && !(Number.isInteger(item.quantity) && item.quantity >= 1 && item.quantity <= MAX_QUANTITY)) {
+      return `items[${i}].quantity must be a whole number from 1 to ${MAX_QUANTITY}`;
+    }
+    if (item.unitPrice !== undefined && !(typeof item.unitPrice === 'number' && Number.isFinite(item.unitPrice) && item.unitPrice >= 0)) {
+      return `items[${i}].unitPrice must be an amount`;
+    }
+  }
+  return null;
+}
+
+// ========== PRICING ==========
+
+function quoteLine({ sku, quantity = 1, unitPrice }, facts) {
+  const service = priceService(sku, facts);
+  const estimate = unitPrice === undefined && service.price.min !== service.price.max;
+  const price = unitPrice ?? service.price.max;
+
+  return {
+    sku,
+    name: service.name,
+    quantity,
+    unitPrice: price,
+    priceRange: estimate ? service.price : null,
+    estimate,
+    taxable: service.taxable,
+    amount: roundMoney(price * quantity)
+  };
+}
+
+// Scans stored before the catalog have no services list - re-run the rules for one
+function scanServices(scan) {
+  return scan.analysis.services || analyzeScanResults(scan.payload).services;
+}
+
+// The lines a quote for this scan starts from: every paid service its rules fired
+export function defaultQuoteItems(scan) {
+  const facts = buildScanFacts(scan.payload);
+  return scanServices(scan)
+    .filter(sku => hasService(sku) && priceService(sku, facts).price.max > 0)
+    .map(sku => ({ sku }));
+}
+
+// Totals for a set of priced lines - tax only on taxable ones (parts), rounded to the cent
+export function totalQuote(lines, taxRate = SERVICE_TAX_RATE) {
+  const subtotal = roundMoney(lines.reduce((sum, line) => sum + line.amount, 0));
+  const taxable = lines.filter(line => line.taxable).reduce((sum, line) => sum + line.amount, 0);
+  const tax = roundMoney(taxable * taxRate);
+  return { subtotal, taxRate, tax, total: roundMoney(subtotal + tax) };
+}
+
+// ========== QUOTES ==========
+
+// items as validated by validateQuoteItems, or omitted for the scan's defaults.
+// Returns null when there's nothing to charge for.
+export function createQuote(scan, { items, validDays = QUOTE_VALID_DAYS } = {}) {
+  const facts = buildScanFacts(scan.payload);
+  const lines = (items || defaultQuoteItems(scan)).map(item => quoteLine(item, facts));
+  if (lines.length === 0) return null;
+
+  return insert('quotes', {
+    scanId: scan.id,
+    clientEmail: scan.clientEmail,
+    locale: scan.payload.locale || null,
+    currency: SERVICE_CURRENCY,
+    items: lines,
+    ...totalQuote(lines),
+    estimate: lines.some(line => line.estimate),
+    expiresAt: new Date(Date.now() + validDays * 24 * 60 * 60 * 1000).toISOString(),
+    sentAt: null,
+    deliveryId: null
+  });
+}
+
+export function markQuoteSent(id, deliveryId) {
+  return update('quotes', id, { sentAt: new Date().toISOString(), deliveryId });
+}
+
+export function listQuotesForScan(scanId) {
+  return find('quotes', q => q.scanId === scanId).sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
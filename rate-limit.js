@@ -0,0 +1,147 @@
+// rate-limit.js - Abuse protection for endpoints that send email
+// Every accepted scan costs two Resend sends, so a script hammering /scan-results burns our quota
+// and gets drwinmac.tech flagged. Limits apply per IP, per recipient address and globally, and
+// identical resubmissions inside the dedupe window are answered from the first scan instead.
+// Every request also counts against a per-IP attempt limit checked before authentication, so
+// requests that fail auth or validation can't be sent without end either. The booking endpoints
+// send email too and count against their own per-IP limit.
+//
+// State lives behind a small store interface so tests and single-instance deploys can use the
+// in-memory store; anything shared (Redis etc.) just needs increment/peek/remember/recall.
+
+import crypto from 'crypto';
+
+function envLimit(name, max, windowSeconds) {
+  return {
+    max: parseInt(process.env[`RATE_LIMIT_${name}_MAX`]) || max,
+    windowMs: (parseInt(process.env[`RATE_LIMIT_${name}_WINDOW`]) || windowSeconds) * 1000
+  };
+}
+
+export const DEFAULT_LIMITS = {
+  ip: envLimit('IP', 10, 60 * 60),
+  recipient: envLimit('RECIPIENT', 3, 60 * 60),
+  global: envLimit('GLOBAL', 200, 24 * 60 * 60),
+  attempt: envLimit('ATTEMPT', 60, 60 * 60),
+  booking: envLimit('BOOKING', 20, 60 * 60),
+  duplicateWindowMs: (parseInt(process.env.DEDUPE_WINDOW) || 10 * 60) * 1000
+};
+
+// ========== IN-MEMORY STORE ==========
+
+// Fixed-window counters plus a TTL cache. `now` is injectable so tests don't need fake timers.
+export function createMemoryStore({ now = () => Date.now() } = {}) {
+  const counters = new Map();
+  const remembered = new Map();
+
+  function sweep(map) {
+    const time = now();
+    for (const [key, entry] of map) {
+      if (entry.expiresAt <= time) map.delete(key);
+    }
+  }
+
+  return {
+    now,
+
+    peek(key) {
+      const entry = counters.get(key);
+      if (!entry || entry.expiresAt <= now()) return { count: 0, resetAt: null };
+      return { count: entry.count, resetAt: entry.expiresAt };
+    },
+
+    increment(key, windowMs) {
+      let entry = counters.get(key);
+      if (!entry || entry.expiresAt <= now()) {
+        if (counters.size > 10000) sweep(counters);
+        entry = { count: 0, expiresAt: now() + windowMs };
+        counters.set(key, entry);
+      }
+      entry.count++;
+      return { count: entry.count, resetAt: entry.expiresAt };
+    },
+
+    remember(key, value, ttlMs) {
+      if (remembered.size > 10000) sweep(remembered);
+      remembered.set(key, { value, expiresAt: now() + ttlMs });
+    },
+
+    recall(key) {
+      const entry = remembered.get(key);
+      if (!entry || entry.expiresAt <= now()) return null;
+      return entry.value;
+    }
+  };
+}
+
+// ========== LIMITER ==========
+
+// Same scanner, same machine, same numbers → same fingerprint
+export function submissionFingerprint(recipient, payload) {
+  const sorted = Object.keys(payload).sort().reduce((acc, key) => {
+    acc[key] = payload[key];
+    return acc;
+  }, {});
+  return crypto.createHash('sha256')
+    .update(`${String(recipient).toLowerCase()}|${JSON.stringify(sorted)}`)
+    .digest('hex');
+}
+
+export function createRateLimiter({ store = createMemoryStore(), limits = DEFAULT_LIMITS } = {}) {
+  function buckets({ ip, recipient }) {
+    return [
+      { scope: 'ip', key: `ip:${ip}`, ...limits.ip },
+      { scope: 'recipient', key: `recipient:${String(recipient).toLowerCase()}`, ...limits.recipient },
+      { scope: 'global', key: 'global', ...limits.global }
+    ];
+  }
+
+  // { allowed: false, scope, limit, retryAfterSeconds } when the bucket is full, else null
+  function blocked(bucket) {
+    const { count, resetAt } = store.peek(bucket.key);
+    if (count < bucket.max) return null;
+    return {
+      allowed: false,
+      scope: bucket.scope,
+      limit: bucket.max,
+      retryAfterSeconds: Math.max(1, Math.ceil((resetAt - store.now()) / 1000))
+    };
+  }
+
+  return {
+    limits,
+
+    // Returns the earlier scan's id if this exact submission was already accepted
+    findDuplicate(fingerprint) {
+      return store.recall(`dup:${fingerprint}`);
+    },
+
+    rememberSubmission(fingerprint, scanId) {
+      store.remember(`dup:${fingerprint}`, scanId, limits.duplicateWindowMs);
+    },
+
+    // Checks every bucket before counting, so a blocked attempt doesn't eat anyone else's quota.
+    // Returns { allowed: true } or { allowed: false, scope, retryAfterSeconds }.
+    consume({ ip, recipient }) {
+      const all = buckets({ ip, recipient });
+
+      for (const bucket of all) {
+        const limit = blocked(bucket);
+        if (limit) return limit;
+      }
+
+      all.forEach(bucket => store.increment(bucket.key, bucket.windowMs));
+      return { allowed: true };
+    },
+
+    // One bucket on its own, e.g. take('attempt', req.ip) - same result shape as consume()
+    take(scope, id) {
+      const bucket = { scope, key: `${scope}:${id}`, ...limits[scope] };
+      const limit = blocked(bucket);
+      if (limit) return limit;
+
+      store.increment(bucket.key, bucket.windowMs);
+      return { allowed: true };
+    }
+  };
+}
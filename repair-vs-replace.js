@@ -0,0 +1,111 @@
+// repair-vs-replace.js - Is an aging machine worth repairing? A cost-per-year comparison
+// Adds up the repairs the flags recommend and spreads them over the years the machine has left:
+// the sooner of its expected lifespan running out and its OS losing security updates. Repairs are
+// priced the way a quote prices them - the top of a price range - so the report never comes in
+// under the quote. A new machine's price (catalog/replacement-costs.json) is spread over a full
+// lifespan. Whichever costs less per year of use wins - except that a repair costing more than
+// maxRepairShare of a new machine is never recommended, however long the old one might last.
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { macModelFamily } from './mac-models.js';
+import { hasService, priceService } from './services.js';
+
+export const REPLACEMENT_COSTS_FILE = path.join(path.dirname(fileURLToPath(import.meta.url)), 'catalog', 'replacement-costs.json');
+
+// ========== LOADING ==========
+
+function isShare(value) {
+  return typeof value === 'number' && value > 0 && value <= 1;
+}
+
+// Throws on a bad file so a typo stops the server at startup instead of skewing the advice
+export function loadReplacementCosts(file = REPLACEMENT_COSTS_FILE) {
+  let costs;
+  try {
+    costs = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not load replacement costs ${file}: ${error.message}`);
+  }
+
+  if (!isShare(costs.maxRepairShare) || !isShare(costs.borderlineShare)) {
+    throw new Error(`Replacement costs ${file}: "maxRepairShare" and "borderlineShare" must be fractions like 0.5`);
+  }
+  if (!Array.isArray(costs.repairSkus)) throw new Error(`Replacement costs ${file} has no "repairSkus" array`);
+  const unknown = costs.repairSkus.find(sku => !hasService(sku));
+  if (unknown) throw new Error(`Replacement costs ${file}: repair SKU "${unknown}" isn't in the service catalog`);
+
+  if (!costs.classes || typeof costs.classes !== 'object') throw new Error(`Replacement costs ${file} has no "classes" object`);
+  for (const [name, machineClass] of Object.entries(costs.classes)) {
+    if (!(typeof machineClass.cost === 'number' && machineClass.cost > 0)) throw new Error(`Replacement costs ${file}: ${name} needs a "cost"`);
+    if (!(Number.isInteger(machineClass.lifespanYears) && machineClass.lifespanYears > 0)) {
+      throw new Error(`Replacement costs ${file}: ${name} needs "lifespanYears" as a whole number`);
+    }
+  }
+  for (const required of ['Mac', 'PC laptop', 'PC desktop']) {
+    if (!costs.classes[required]) throw new Error(`Replacement costs ${file}: missing the "${required}" class`);
+  }
+
+  return costs;
+}
+
+const costs = loadReplacementCosts();
+
+// ========== ASSESSMENT ==========
+
+// "MacBook Pro", "Mac" for a family without its own class, "PC laptop" / "PC desktop"
+export function replacementClass(facts) {
+  if (facts.platform === 'windows') return facts.batteryCapacity > 0 ? 'PC laptop' : 'PC desktop';
+  const family = macModelFamily(facts.macModel);
+  return Object.hasOwn(costs.classes, family) ? family : 'Mac';
+}
+
+// Why, as message codes the reports translate (repairReplace.reasons.<code>)
+function decide({ repairShare, remainingYears, lifeLeft, supportLeft, repairCostPerYear, replacementCostPerYear }) {
+  if (remainingYears === 0) return ['replace', [supportLeft === 0 ? 'noSecurityUpdates' : 'pastLifespan']];
+
+  const reasons = supportLeft !== null && supportLeft < lifeLeft ? ['supportEnding'] : [];
+  if (repairShare > costs.maxRepairShare) return ['replace', ['repairShare', ...reasons]];
+  if (repairCostPerYear > replacementCostPerYear) return ['replace', ['costPerYear', ...reasons]];
+  if (repairCostPerYear > replacementCostPerYear * costs.borderlineShare) return ['borderline', ['closeCall', ...reasons]];
+  return ['repair', ['repairCheaper', ...reasons]];
+}
+
+// Repair and replacement side by side, with a recommendation - null when the flags recommend no
+// repairs, or there's no model year to age the machine by
+export function assessRepairVsReplace(facts, flags, now = new Date()) {
+  const repairs = [];
+  for (const flag of flags) {
+    if (flag.sku && costs.repairSkus.includes(flag.sku) && !repairs.some(repair => repair.sku === flag.sku)) {
+      repairs.push({ sku: flag.sku, upsell: flag.upsell, cost: priceService(flag.sku, facts).price.max });
+    }
+  }
+  if (repairs.length === 0 || !facts.modelYear) return null;
+
+  const machineClass = replacementClass(facts);
+  const { cost: replacementCost, lifespanYears, replacement } = costs.classes[machineClass];
+  const repairCost = repairs.reduce((sum, repair) => sum + repair.cost, 0);
+
+  const lifeLeft = Math.max(facts.modelYear + lifespanYears - now.getFullYear(), 0);
+  const supportLeft = facts.supportYearsLeft ?? null;
+  const remainingYears = supportLeft === null ? lifeLeft : Math.min(lifeLeft, supportLeft);
+
+  const assessment = {
+    machineClass,
+    replacementModel: replacement || machineClass,
+    repairs,
+    repairCost,
+    replacementCost,
+    remainingYears,
+    lifespanYears,
+    ageYears: now.getFullYear() - facts.modelYear,
+    supportYearsLeft: supportLeft,
+    repairCostPerYear: remainingYears > 0 ? Math.round(repairCost / remainingYears) : null,
+    replacementCostPerYear: Math.round(replacementCost / lifespanYears),
+    repairShare: Math.round((repairCost / replacementCost) * 100) / 100
+  };
+
+  const [recommendation, reasons] = decide({ ...assessment, lifeLeft, supportLeft });
+  return { recommendation, reasons, ...assessment };
+}
@@ -0,0 +1,74 @@
+// report-links.js - Shareable links to the hosted web report for a scan
+// The client email links to GET /report/:token instead of being the only copy of the report.
+// Tokens are 32 random bytes and only their hash is stored, so a leaked db.json can't be used
+// to open anyone's report. Links expire after REPORT_LINK_TTL_DAYS and can be revoked early.
+
+import crypto from 'crypto';
+import { insert, find, findById, update } from './store.js';
+
+export const REPORT_LINK_TTL_DAYS = parseInt(process.env.REPORT_LINK_TTL_DAYS) || 30;
+
+function hash(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Never hand the hash back - it's as good as a lookup key
+function publicLink(link) {
+  const { tokenHash, ...rest } = link;
+  return rest;
+}
+
+// Public base for links in emails. Falls back to the host the request came in on - the Host
+// header is client-supplied, so set PUBLIC_BASE_URL in production.
+export function publicBaseUrl(req) {
+  const host = req?.get('host');
+  const fallback = host && /^[a-z0-9.-]+(:\d+)?$/i.test(host) ? `${req.protocol}://${host}` : '';
+  return (process.env.PUBLIC_BASE_URL || fallback).replace(/\/$/, '');
+}
+
+export function reportUrl(token, req) {
+  return `${publicBaseUrl(req)}/report/${token}`;
+}
+
+// The token is only ever returned here - it goes straight into the client email
+export function createReportLink(scanId, { ttlDays = REPORT_LINK_TTL_DAYS, label = 'client-email' } = {}) {
+  const token = crypto.randomBytes(32).toString('base64url');
+  const link = insert('reportLinks', {
+    scanId,
+    label,
+    tokenHash: hash(token),
+    expiresAt: new Date(Date.now() + ttlDays * 24 * 60 * 60 * 1000).toISOString(),
+    revokedAt: null,
+    views: 0,
+    lastViewedAt: null
+  });
+
+  return { ...publicLink(link), token };
+}
+
+// Returns { link, scanId } for a live token, { error: 'not_found' | 'revoked' | 'expired' } otherwise
+export function resolveReportLink(token) {
+  if (!token || token.length > 100) return { error: 'not_found' };
+
+  const tokenHash = hash(token);
+  const link = find('reportLinks', l => l.tokenHash === tokenHash)[0];
+  if (!link) return { error: 'not_found' };
+  if (link.revokedAt) return { error: 'revoked' };
+  if (link.expiresAt <= new Date().toISOString()) return { error: 'expired' };
+
+  const viewed = update('reportLinks', link.id, { views: link.views + 1, lastViewedAt: new Date().toISOString() });
+  return { link: publicLink(viewed), scanId: link.scanId };
+}
+
+export function listReportLinksForScan(scanId) {
+  return find('reportLinks', l => l.scanId === scanId)
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+    .map(publicLink);
+}
+
+export function revokeReportLink(id) {
+  const link = findById('reportLinks', id);
+  if (!link) return null;
+  if (link.revokedAt) return publicLink(link);
+  return publicLink(update('reportLinks', id, { revokedAt: new Date().toISOString() }));
+}
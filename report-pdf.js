@@ -0,0 +1,283 @@
+// report-pdf.js - Printable PDF versions of the client report and the technician work-order sheet
+// Rendered in-process with pdfkit (no headless browser). index.js builds the report model from
+// the same helpers the emails use, so the PDF can never disagree with what the client was sent.
+//
+// audience 'client'   - grade badge, summary, hardware/service tiers, timeline, compatibility
+// audience 'internal' - lead + priority, flags with upsells, opportunity, full diagnostic dump
+//
+// The client PDF is drawn in the report's locale; the work order is always English.
+
+import PDFDocument from 'pdfkit';
+import { createTranslator } from './i18n.js';
+
+export const PDF_AUDIENCES = ['client', 'internal'];
+
+const BRAND = '#5b7db1';
+const MUTED = '#666666';
+const TIER_COLORS = { CRITICAL: '#d32f2f', MODERATE: '#f57c00' };
+const PRIORITY_COLORS = { HOT: '#d32f2f', WARM: '#f57c00' };
+
+// The built-in PDF fonts only cover WinAnsi - emoji and arrows would render as garbage
+function pdfText(value) {
+  return String(value ?? '')
+    .replace(/→/g, '->')
+    .replace(/[^\x00-\xFF–—‘’“”•…€™œŒ]/gu, '')
+    .replace(/\s{2,}/g, ' ')
+    .trim();
+}
+
+// ========== LAYOUT HELPERS ==========
+
+function ensureSpace(doc, height) {
+  if (doc.y + height > doc.page.height - doc.page.margins.bottom) doc.addPage();
+}
+
+function heading(doc, text, color = BRAND) {
+  ensureSpace(doc, 60);
+  doc.moveDown(0.8);
+  doc.font('Helvetica-Bold').fontSize(14).fillColor(color).text(pdfText(text));
+  const y = doc.y + 2;
+  doc.moveTo(doc.page.margins.left, y).lineTo(doc.page.width - doc.page.margins.right, y).lineWidth(0.5).strokeColor('#dddddd').stroke();
+  doc.moveDown(0.5);
+  doc.font('Helvetica').fontSize(10.5).fillColor('#333333');
+}
+
+function paragraph(doc, text, { color = '#333333', size = 10.5, bold = false } = {}) {
+  doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(size).fillColor(color).text(pdfText(text));
+  doc.moveDown(0.3);
+}
+
+function bullets(doc, items) {
+  items.forEach(item => {
+    ensureSpace(doc, 30);
+    doc.font('Helvetica').fontSize(10.5).fillColor('#333333').text(`•  ${pdfText(item)}`, { indent: 10 });
+    doc.moveDown(0.2);
+  });
+}
+
+// Two-column { label, value } rows
+function table(doc, rows) {
+  const left = doc.page.margins.left;
+  const labelWidth = 150;
+  const valueWidth = doc.page.width - doc.page.margins.right - left - labelWidth;
+
+  rows.forEach(({ label, value }) => {
+    const text = pdfText(value);
+    const height = Math.max(doc.heightOfString(text, { width: valueWidth }), 14);
+    ensureSpace(doc, height + 4);
+    const y = doc.y;
+    doc.font('Helvetica-Bold').fontSize(10).fillColor('#333333').text(pdfText(label), left, y, { width: labelWidth });
+    doc.font('Helvetica').text(text, left + labelWidth, y, { width: valueWidth });
+    doc.x = left;
+    doc.y = y + height + 4;
+  });
+}
+
+function gradeBadge(doc, grade, x, y) {
+  doc.circle(x + 32, y + 32, 32).fill(grade.color);
+  doc.font('Helvetica-Bold').fontSize(24).fillColor('#ffffff').text(grade.letter, x, y + 20, { width: 64, align: 'center' });
+}
+
+// Client issue tier: headline, then timeline/risk underneath each item
+function issueTier(doc, t, severity, title, issues) {
+  if (issues.length === 0) return;
+  ensureSpace(doc, 50);
+  paragraph(doc, `${title} (${issues.length})`, { color: TIER_COLORS[severity], bold: true });
+  issues.forEach(issue => {
+    ensureSpace(doc, 45);
+    doc.font('Helvetica-Bold').fontSize(10.5).fillColor('#333333').text(`•  ${pdfText(issue.text)}`, { indent: 10 });
+    if (issue.consequence) doc.font('Helvetica').fontSize(9.5).fillColor('#c62828').text(`${t('report.risk')}: ${pdfText(issue.consequence)}`, { indent: 22 });
+    if (issue.urgency) doc.font('Helvetica').fontSize(9.5).fillColor(MUTED).text(`${t('report.timeline')}: ${pdfText(issue.urgency)}`, { indent: 22 });
+    doc.moveDown(0.3);
+  });
+}
+
+// Technician flag tier: category, issue, upsell
+function flagTier(doc, severity, title, flags) {
+  if (flags.length === 0) return;
+  ensureSpace(doc, 50);
+  paragraph(doc, `${title} (${flags.length})`, { color: TIER_COLORS[severity], bold: true });
+  flags.forEach(flag => {
+    ensureSpace(doc, 40);
+    doc.font('Helvetica-Bold').fontSize(10).fillColor('#333333').text(`•  ${pdfText(flag.category)}: `, { indent: 10, continued: true })
+      .font('Helvetica').text(pdfText(flag.issue));
+    if (flag.recommendation) doc.fontSize(9.5).fillColor(MUTED).text(pdfText(flag.recommendation), { indent: 22 });
+    if (flag.upsell) doc.font('Helvetica-Bold').fontSize(9.5).fillColor('#2e7d32').text(`-> ${pdfText(flag.upsell)}`, { indent: 22 });
+    doc.moveDown(0.3);
+  });
+}
+
+function compatibilitySection(doc, t, report) {
+  const { incompatible, limited } = report.compatibility;
+  heading(doc, t('compatibility.title'));
+  if (incompatible.length > 0) {
+    paragraph(doc, t('compatibility.cannotRun', { device: report.device }), { bold: true });
+    bullets(doc, incompatible);
+  }
+  if (limited.length > 0) {
+    paragraph(doc, t('compatibility.limited'), { bold: true });
+    bullets(doc, limited);
+  }
+  if (incompatible.length === 0 && limited.length === 0) {
+    paragraph(doc, `${t('compatibility.none')}.`, { color: '#4caf50' });
+  }
+}
+
+// ========== AUDIENCES ==========
+
+function renderClient(doc, report) {
+  const t = createTranslator(report.locale);
+  const top = doc.y;
+  gradeBadge(doc, report.grade, doc.page.width - doc.page.margins.right - 64, top);
+  doc.font('Helvetica-Bold').fontSize(20).fillColor(BRAND).text('Velocity Strip-Search', doc.page.margins.left, top);
+  doc.font('Helvetica').fontSize(11).fillColor(MUTED).text(pdfText(t('report.title')));
+  doc.text(`${report.clientName ? `${pdfText(t('report.preparedFor', { name: report.clientName }))} · ` : ''}${new Date(report.createdAt).toLocaleDateString(t.locale)}`);
+  doc.fontSize(9).text(pdfText(t('summary.grade')), doc.page.width - doc.page.margins.right - 180, top + 70, { width: 180, align: 'right' });
+  doc.x = doc.page.margins.left;
+  doc.y = Math.max(doc.y, top + 90);
+
+  const { system, metrics } = report;
+  heading(doc, t('summary.title'));
+  table(doc, [
+    { label: t('summary.system'), value: system.model },
+    { label: t('summary.processor'), value: system.processor },
+    { label: t('summary.ram'), value: t('summary.ramValue', { ram: system.ram }) },
+    { label: t('summary.storage'), value: system.storage },
+    { label: t('summary.graphics'), value: system.graphics }
+  ]);
+  doc.moveDown(0.3);
+  table(doc, [
+    { label: t('summary.battery'), value: metrics.battery },
+    { label: t('summary.lastBackup'), value: metrics.lastBackup },
+    { label: t('summary.firewall'), value: metrics.firewall },
+    { label: t('summary.encryption'), value: metrics.encryption },
+    { label: t('summary.updates'), value: metrics.updates },
+    { label: t('summary.memoryPressure'), value: metrics.memoryPressure }
+  ]);
+
+  if (report.trends) {
+    heading(doc, t('trends.title'), '#7b1fa2');
+    bullets(doc, report.trends.highlights);
+  }
+
+  heading(doc, t('hardware.title'), '#cc6600');
+  issueTier(doc, t, 'CRITICAL', t('hardware.critical'), report.hardware.critical);
+  issueTier(doc, t, 'MODERATE', t('hardware.moderate'), report.hardware.moderate);
+  if (!report.hardware.any) {
+    paragraph(doc, `${t('hardware.none')}.`, { color: '#4caf50' });
+  }
+
+  heading(doc, t('services.title'));
+  issueTier(doc, t, 'CRITICAL', t('services.critical'), report.services.critical);
+  issueTier(doc, t, 'MODERATE', t('services.moderate'), report.services.moderate);
+  if (!report.services.any) {
+    paragraph(doc, `${t('services.none')}.`, { color: '#4caf50' });
+  }
+
+  heading(doc, t('report.timeline'), '#f57c00');
+  paragraph(doc, report.timeline.assessment);
+  paragraph(doc, `${t('report.proTip')}: ${report.grade.proTip}`, { color: MUTED });
+
+  compatibilitySection(doc, t, report);
+
+  heading(doc, t('next.title'));
+  paragraph(doc, `${t('next.identified', {
+    critical: t('next.criticalIssues', { count: report.criticalCount }),
+    moderate: t('next.opportunities', { count: report.moderateCount })
+  })} ${t('next.bookPdf', { url: 'https://www.drwinmac.tech/services.html' })}`);
+  paragraph(doc, 'Jeremy · Dr.WinMac Tech Solutions LLC · Jeremy@drwinmac.tech', { color: MUTED });
+}
+
+function renderInternal(doc, report) {
+  doc.font('Helvetica-Bold').fontSize(18).fillColor(BRAND).text('Work Order - Scan Diagnostic');
+  doc.font('Helvetica').fontSize(10).fillColor(MUTED).text(`Scan ${report.scanId} · ${new Date(report.createdAt).toLocaleString()}`);
+  doc.moveDown(0.5);
+
+  table(doc, [
+    { label: 'Client', value: report.clientName || 'Name not provided' },
+    { label: 'Email', value: report.clientEmail },
+    { label: 'System Health', value: report.systemHealth },
+    { label: 'Grade', value: report.grade.letter }
+  ]);
+
+  ensureSpace(doc, 40);
+  const y = doc.y + 4;
+  const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+  doc.rect(doc.page.margins.left, y, width, 26).fill(PRIORITY_COLORS[report.priorityLevel] || MUTED);
+  doc.font('Helvetica-Bold').fontSize(12).fillColor('#ffffff')
+    .text(`PRIORITY: ${report.priorityScore}/10 (${report.priorityLevel})`, doc.page.margins.left + 10, y + 8, { width: width - 20 });
+  doc.x = doc.page.margins.left;
+  doc.y = y + 34;
+
+  heading(doc, 'Flags');
+  flagTier(doc, 'CRITICAL', 'CRITICAL FLAGS', report.flags.critical);
+  flagTier(doc, 'MODERATE', 'MODERATE FLAGS', report.flags.moderate);
+  if (report.flags.critical.length + report.flags.moderate.length === 0) {
+    paragraph(doc, 'No critical issues detected - system in good health.');
+  }
+  if (report.totalOpportunity > 0) {
+    paragraph(doc, `TOTAL SERVICE OPPORTUNITY: $${report.totalOpportunity}+`, { color: '#2e7d32', bold: true });
+  }
+
+  heading(doc, 'Timeline Given To Client');
+  paragraph(doc, report.timeline.assessment);
+  paragraph(doc, `Pro tip: ${report.timeline.proTip}`, { color: MUTED });
+
+  heading(doc, 'System Info');
+  table(doc, report.systemInfo);
+
+  heading(doc, 'Health Metrics');
+  table(doc, report.healthMetrics);
+
+  if (report.trendDetails) {
+    heading(doc, `Device Trends (scan #${report.trendDetails.scanCount})`, '#7b1fa2');
+    bullets(doc, report.trendDetails.lines);
+  }
+
+  compatibilitySection(doc, createTranslator(), report);
+}
+
+// ========== ENTRY POINT ==========
+
+// Resolves to the finished PDF as a Buffer
+export function renderReportPdf(report, { audience = 'client' } = {}) {
+  const t = createTranslator(audience === 'internal' ? undefined : report.locale);
+
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      size: 'LETTER',
+      margin: 50,
+      bufferPages: true,
+      info: {
+        Title: audience === 'internal' ? `Work Order - ${report.clientEmail}` : t('report.title'),
+        Author: 'Dr.WinMac Tech Solutions LLC',
+        Subject: `Velocity Strip-Search scan ${report.scanId}`
+      }
+    });
+
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    if (audience === 'internal') {
+      renderInternal(doc, report);
+    } else {
+      renderClient(doc, report);
+    }
+
+    // Footer with page numbers once the page count is known
+    const { start, count } = doc.bufferedPageRange();
+    for (let i = start; i < start + count; i++) {
+      doc.switchToPage(i);
+      const bottom = doc.page.height - 35;
+      doc.page.margins.bottom = 0;
+      doc.font('Helvetica').fontSize(8).fillColor('#999999').text(
+        `${audience === 'internal' ? 'INTERNAL - not for client distribution' : `${t('report.rights')} · www.drwinmac.tech`}   ·   ${t('report.page', { page: i + 1, count })}`,
+        50, bottom, { width: doc.page.width - 100, align: 'center', lineBreak: false }
+      );
+    }
+
+    doc.end();
+  });
+}
@@ -0,0 +1,513 @@
+// reports.js - View models and rendering for the emails, hosted report page and PDF
+// Every client-visible string comes through here on its way into a template (see templates.js).
+
+import { createTemplateRenderer } from './templates.js';
+import { createTranslator, DEFAULT_LOCALE } from './i18n.js';
+import { renderTemplate } from './rule-engine.js';
+import { describeTrends } from './trends.js';
+import { priceService, SERVICE_CURRENCY } from './services.js';
+import { describeRouting } from './routing.js';
+import {
+  buildScanFacts, calculateSystemGrade, deviceName, formatSystemForClient, formatSystemForInternal, generateTimeline,
+  getConsequence, getModelYear, getSoftwareCompatibilityExamples, getUrgencyTimeline, isWindows
+} from './analysis.js';
+
+// ========== REPORT VIEW MODELS ==========
+// The markup lives in templates/ (see templates.js). These functions only decide what goes in it.
+
+const templates = createTemplateRenderer();
+
+// Client-facing issue tiers, shared by the emails, the hosted report page and the PDF
+export function groupClientIssues(flags) {
+  // Separate ALL hardware and service issues - NO CAPS
+  const hardwareIssues = flags.filter(f => 
+    (f.severity === 'CRITICAL' || f.severity === 'MODERATE') && 
+    (f.category === 'Hardware Age' || f.category === 'Memory' || f.category === 'Battery' || f.category === 'Storage')
+  );
+  
+  const serviceIssues = flags.filter(f => 
+    f.category === 'Data Protection' || f.category === 'Security' || f.category === 'Performance' || f.category === 'Maintenance'
+  );
+  
+  // Separate by severity for priority tiers
+  const criticalHardware = hardwareIssues.filter(f => f.severity === 'CRITICAL');
+  const moderateHardware = hardwareIssues.filter(f => f.severity === 'MODERATE');
+  const criticalServices = serviceIssues.filter(f => f.severity === 'CRITICAL');
+  const moderateServices = serviceIssues.filter(f => f.severity === 'MODERATE');
+
+  return { hardwareIssues, serviceIssues, criticalHardware, moderateHardware, criticalServices, moderateServices };
+}
+
+function hasBackupDate(data) {
+  return data.lastBackupDate && data.lastBackupDate !== 'Never' && data.lastBackupDate !== 'Unknown';
+}
+
+// Flags are stored with the ruleset's English wording - re-render the client's line from the
+// locale's translation of the rule when there is one
+function localizeFlagText(flag, facts, t) {
+  const template = t.rule(flag.ruleId);
+  return template ? renderTemplate(template, facts) : flag.clientFacing;
+}
+
+// Repair next to replacement, in the client's words and currency - null when there's nothing to weigh
+function buildRepairVsReplaceView(assessment, device, t) {
+  if (!assessment) return null;
+  const money = amount => new Intl.NumberFormat(t.locale, { style: 'currency', currency: SERVICE_CURRENCY, maximumFractionDigits: 0 }).format(amount);
+  const model = t.lookup(`repairReplace.classes.${assessment.replacementModel}`) || assessment.replacementModel;
+  const params = {
+    device,
+    model,
+    age: assessment.ageYears,
+    lifespan: assessment.lifespanYears,
+    count: assessment.supportYearsLeft,
+    percent: Math.round(assessment.repairShare * 100),
+    repairPerYear: assessment.repairCostPerYear === null ? null : money(assessment.repairCostPerYear),
+    replacementPerYear: money(assessment.replacementCostPerYear)
+  };
+
+  return {
+    recommendation: assessment.recommendation,
+    model,
+    repair: {
+      cost: money(assessment.repairCost),
+      items: assessment.repairs.map(repair => t.lookup(`quote.services.${repair.sku}`) || priceService(repair.sku).name),
+      years: assessment.remainingYears,
+      perYear: params.repairPerYear
+    },
+    replace: {
+      cost: money(assessment.replacementCost),
+      years: assessment.lifespanYears,
+      perYear: params.replacementPerYear
+    },
+    verdict: t(`repairReplace.recommendation.${assessment.recommendation}`, params),
+    reasons: assessment.reasons.map(code => t(`repairReplace.reasons.${code}`, params))
+  };
+}
+
+// Everything the client sees - email, hosted page and client PDF all render this, in data.locale.
+// With a bookingUrl, every issue with a service gets a "book this fix" link: bookingUrl/<sku>.
+export function buildClientView(data, analysis, { bookingUrl } = {}) {
+  const { flags, trends } = analysis;
+  const t = createTranslator(data.locale);
+  const facts = buildScanFacts(data);
+  const { hardwareIssues, serviceIssues, criticalHardware, moderateHardware, criticalServices, moderateServices } = groupClientIssues(flags);
+  const compatibility = getSoftwareCompatibilityExamples(data, t);
+  const modelYear = getModelYear(data);
+  const highlights = trends ? describeTrends(trends, t) : [];
+
+  const hardwareIssue = flag => ({
+    text: localizeFlagText(flag, facts, t),
+    urgency: getUrgencyTimeline(flag, t),
+    bookUrl: bookingUrl && flag.sku ? `${bookingUrl}/${flag.sku}` : null
+  });
+  const serviceIssue = flag => ({ ...hardwareIssue(flag), consequence: getConsequence(flag, t) });
+  const value = raw => t.lookup(`values.${raw}`) || raw;
+
+  return {
+    locale: t.locale,
+    clientName: data.clientName,
+    clientEmail: data.clientEmail,
+    device: deviceName(data),
+    grade: calculateSystemGrade(analysis, data, t),
+    systemHealth: analysis.systemHealth,
+    criticalCount: analysis.criticalCount,
+    moderateCount: analysis.moderateCount,
+    system: {
+      model: formatSystemForClient(data, t),
+      processor: data.cpuBrand || t('common.unknown'),
+      ram: data.totalRAM || 0,
+      storage: t('summary.storageValue', {
+        size: data.totalStorage || 0,
+        type: data.storageType && data.storageType !== 'Unknown' ? ' ' + data.storageType : '',
+        free: data.freeStoragePercent || 0
+      }),
+      graphics: data.gpuModel && data.gpuModel !== 'Unknown' ? data.gpuModel : t('common.notDetected')
+    },
+    metrics: {
+      battery: t('summary.batteryValue', { capacity: data.batteryCapacity || 0, count: data.batteryCycles || 0 }),
+      lastBackup: hasBackupDate(data) ? new Date(data.lastBackupDate).toLocaleDateString(t.locale) : t('common.noneDetected'),
+      firewall: data.firewallEnabled ? t('common.on') : t('common.off'),
+      encryption: (isWindows(data) ? data.bitLockerEnabled : data.fileVaultEnabled) ? t('common.on') : t('common.off'),
+      updates: data.softwareUpdateStatus === 'Check manually' ? t('common.updatesNeeded') : data.softwareUpdateStatus || t('common.unknown'),
+      memoryPressure: data.memoryPressure ? value(data.memoryPressure) : t('common.unknown')
+    },
+    trends: highlights.length > 0 ? { ...trends, highlights } : null,
+    hardware: {
+      any: hardwareIssues.length > 0,
+      critical: criticalHardware.map(hardwareIssue),
+      moderate: moderateHardware.map(hardwareIssue)
+    },
+    services: {
+      any: serviceIssues.length > 0,
+      critical: criticalServices.map(serviceIssue),
+      moderate: moderateServices.map(serviceIssue)
+    },
+    timeline: generateTimeline(analysis, data, t),
+    repairVsReplace: buildRepairVsReplaceView(analysis.repairVsReplace, deviceName(data), t),
+    compatibility: {
+      ...compatibility,
+      topIncompatible: compatibility.incompatible.slice(0, 3),
+      moreIncompatible: Math.max(compatibility.incompatible.length - 3, 0)
+    },
+    dayToDay: {
+      processor: data.cpuBrand ? data.cpuBrand.substring(0, 40) : t('common.processor'),
+      ram: data.totalRAM,
+      batteryLow: data.batteryCapacity && data.batteryCapacity < 85
+        ? { cycles: data.batteryCycles || 0, capacity: data.batteryCapacity }
+        : null,
+      batteryAging: data.batteryCycles && data.batteryCycles > 800 && (!data.batteryCapacity || data.batteryCapacity >= 85)
+        ? { cycles: data.batteryCycles }
+        : null,
+      limitedUpgradePath: hardwareIssues.some(f => f.clientFacing.includes('soldered')),
+      // Only show for 7-9 year systems (warning zone), not 10+ (already obvious)
+      planningWindow: Boolean(modelYear && modelYear >= 2016 && modelYear <= 2018)
+    }
+  };
+}
+
+function onOff(value) {
+  if (value === undefined) return 'Unknown';
+  return value ? 'ON' : 'OFF';
+}
+
+// Security lines differ by platform - the rest of the dump is shared
+function securityMetrics(data) {
+  if (!isWindows(data)) {
+    return [
+      { label: 'FileVault', value: data.fileVaultEnabled ? 'ON' : 'OFF' },
+      { label: 'SIP (System Integrity Protection)', value: data.sipEnabled ? 'ON' : 'OFF' }
+    ];
+  }
+
+  const facts = buildScanFacts(data);
+  let windows11 = 'Unknown';
+  if (facts.windows11Ready === true) windows11 = 'Yes';
+  else if (facts.windows11Ready === false) windows11 = `No - ${facts.windows11Blockers}`;
+
+  return [
+    { label: 'BitLocker', value: onOff(data.bitLockerEnabled) },
+    { label: 'Secure Boot', value: onOff(data.secureBootEnabled) },
+    { label: 'TPM', value: data.tpmVersion === undefined ? 'Unknown' : data.tpmVersion > 0 ? data.tpmVersion : 'None' },
+    { label: 'Firmware', value: data.biosMode || 'Unknown' },
+    { label: 'Defender', value: onOff(data.defenderEnabled) },
+    { label: 'Antivirus', value: data.antivirusProduct || 'Unknown' },
+    { label: 'Windows 11 Ready', value: windows11 },
+    { label: 'Memory Type', value: data.memoryFormFactor || 'Unknown' }
+  ];
+}
+
+// Technician diagnostic dump - internal email and work-order PDF
+export function buildDiagnostics(data) {
+  return {
+    systemInfo: [
+      { label: isWindows(data) ? 'Windows' : 'macOS', value: `${data.osName || 'Unknown'} (${data.osVersion || 'Unknown'})` },
+      { label: 'Model', value: formatSystemForInternal(data) },
+      { label: 'CPU', value: `${data.cpuBrand || 'Unknown'} (${data.physicalCores || 0} cores)` },
+      { label: 'RAM', value: `${data.totalRAM || 0} GB` },
+      { label: 'Storage', value: `${data.totalStorage || 0} GB${data.storageType && data.storageType !== 'Unknown' ? ' ' + data.storageType : ''} (${data.freeStoragePercent || 0}% free)` },
+      { label: 'GPU', value: data.gpuModel && data.gpuModel !== 'Unknown' ? data.gpuModel : 'Not detected' }
+    ],
+    healthMetrics: [
+      { label: 'Battery', value: `${data.batteryCapacity || 100}% capacity, ${data.batteryCycles || 0} cycles (${data.batteryCondition || 'N/A'})` },
+      { label: 'Last Backup', value: hasBackupDate(data) ? data.lastBackupDate : 'None Detected' },
+      { label: 'Firewall', value: data.firewallEnabled ? 'ON' : 'OFF' },
+      ...securityMetrics(data),
+      { label: 'Software Updates', value: data.softwareUpdateStatus || 'Unknown' },
+      { label: 'Login Items', value: `${data.loginItemsCount || 0} apps` },
+      { label: 'Memory Pressure', value: data.memoryPressure || 'Unknown' },
+      { label: 'RAM Speed', value: `${data.ramSpeed || 0} MHz` },
+      { label: 'Network', value: data.networkType || 'Unknown' },
+      { label: 'WiFi Signal', value: data.wifiSignalStrength || 'Unknown' },
+      { label: 'Display', value: data.displayResolution || 'Unknown' },
+      { label: 'External Monitors', value: data.externalMonitors || 0 },
+      { label: 'CPU Temperature', value: `${data.cpuTemperature || 0}°C${data.cpuTemperature > 0 ? '' : ' (unavailable)'}` }
+    ]
+  };
+}
+
+export function buildTrendDetails(trends) {
+  if (!trends) return null;
+
+  const { battery, storage, memory, backup } = trends;
+  return {
+    scanCount: trends.scanCount,
+    firstScanAt: trends.firstScanAt,
+    lines: [
+      battery && `Battery: ${battery.capacityChange ?? 'n/a'}% capacity change, ${battery.capacityLostPerMonth ?? 'n/a'}%/month lost, +${battery.cycleChange ?? 0} cycles (${battery.cyclesPerMonth ?? 'n/a'}/month)${battery.replaced ? ' - BATTERY REPLACED' : ''}`,
+      storage && `Free Storage: ${storage.fromPercent}% → ${storage.toPercent}% (${storage.freePercentPerMonth ?? 'n/a'} pts/month, ${storage.direction})`,
+      memory && `RAM: ${memory.fromGB}GB → ${memory.toGB}GB`,
+      `Backup Status: ${backup.status}${backup.changedAt ? ` (was ${backup.previousStatus}, changed ${backup.daysSinceChange} days ago)` : ' (unchanged)'}`,
+      `Days Since Previous Scan: ${trends.daysSincePreviousScan}`
+    ].filter(Boolean)
+  };
+}
+
+// Lead sheet for the technician the lead was routed to - flags with upsells, call guide and script
+export function buildInternalView(data, analysis, { assignment } = {}) {
+  const { flags, priorityLevel, criticalCount, moderateCount, totalOpportunity, systemHealth } = analysis;
+  const criticalFlags = flags.filter(f => f.severity === 'CRITICAL');
+  const moderateFlags = flags.filter(f => f.severity === 'MODERATE');
+
+  let callScriptHook = 'Your scan results look great overall';
+  if (criticalFlags.length > 0) {
+    const topFlag = criticalFlags[0];
+    callScriptHook = `I noticed ${topFlag.issue.toLowerCase()}. ${topFlag.recommendation}. Have you experienced any issues related to this?`;
+  } else if (moderateFlags.length > 0) {
+    const topFlag = moderateFlags[0];
+    callScriptHook = `I saw ${topFlag.issue.toLowerCase()}. This is something we can help optimize. Have you noticed any performance concerns?`;
+  }
+
+  const clientLocale = createTranslator(data.locale);
+
+  return {
+    clientName: data.clientName,
+    clientEmail: data.clientEmail,
+    // Only called out when the client got their report in another language
+    clientLanguage: clientLocale.locale === DEFAULT_LOCALE ? null : clientLocale('language'),
+    scanDate: new Date(),
+    device: deviceName(data),
+    systemModel: formatSystemForInternal(data),
+    aiTier: data.aiPreparednessTier || 'Unknown',
+    systemHealth,
+    priorityLevel,
+    priorityScore: analysis.priorityScore,
+    priorityColor: priorityLevel === 'HOT' ? '#d32f2f' : priorityLevel === 'WARM' ? '#f57c00' : '#666',
+    assignedTo: assignment ? { name: assignment.name, reason: describeRouting(assignment) } : null,
+    totalOpportunity,
+    flags: { critical: criticalFlags, moderate: moderateFlags },
+    timeline: generateTimeline(analysis, data),
+    repairVsReplace: buildRepairVsReplaceView(analysis.repairVsReplace, deviceName(data), createTranslator()),
+    callGuide: {
+      immediate: criticalFlags.slice(0, 3),
+      moreCritical: Math.max(criticalCount - 3, 0),
+      canWait: moderateFlags.slice(0, 3),
+      moreModerate: Math.max(moderateCount - 3, 0),
+      system: isWindows(data) ? formatSystemForClient(data) : data.macModel || 'system',
+      firstIssue: criticalFlags[0] ? criticalFlags[0].issue : 'the critical items',
+      later: moderateCount > 0 ? '[business picks up / after the holidays / next quarter]' : 'later',
+      budgetPlan: systemHealth === 'CRITICAL' ? 'system replacement' : 'targeted fixes',
+      budgetRange: systemHealth === 'CRITICAL' ? '$1,200-2,000' : '$' + Math.min(totalOpportunity, 800) + '-' + totalOpportunity
+    },
+    callScript: {
+      hook: callScriptHook,
+      device: isWindows(data) ? formatSystemForClient(data) : data.macModel || 'Mac',
+      decisionTimeline: criticalCount >= 2 ? 'URGENT - 2-4 weeks' : moderateCount >= 2 ? 'Soon - 1-2 months' : 'Planning - 3-6 months',
+      situation: systemHealth === 'CRITICAL' || systemHealth === 'NEEDS_ATTENTION' ? 'critical issues' : 'multiple flags',
+      appleGap: criticalFlags.length > 0 ? criticalFlags[0].clientFacing : 'backup optimization and performance tuning',
+      downTheRoad: criticalFlags.length > 0 ? criticalFlags[0].clientFacing.toLowerCase() : 'preventative stuff'
+    },
+    ...buildDiagnostics(data),
+    trendDetails: buildTrendDetails(analysis.trends)
+  };
+}
+
+// Quote email - names come from the locale's quote.services when it has them, amounts are
+// formatted in the client's locale
+export function buildQuoteView(scan, quote) {
+  const t = createTranslator(quote.locale);
+  const money = new Intl.NumberFormat(t.locale, { style: 'currency', currency: quote.currency });
+  const range = ({ min, max }) => `${money.format(min)} - ${money.format(max)}`;
+
+  return {
+    locale: t.locale,
+    clientName: scan.clientName,
+    device: deviceName(scan.payload),
+    items: quote.items.map(item => ({
+      name: t.lookup(`quote.services.${item.sku}`) || item.name,
+      quantity: item.quantity,
+      unitPrice: money.format(item.unitPrice),
+      amount: money.format(item.amount),
+      range: item.priceRange ? range(item.priceRange) : null,
+      estimate: item.estimate
+    })),
+    subtotal: money.format(quote.subtotal),
+    tax: quote.tax > 0 ? money.format(quote.tax) : null,
+    taxPercent: Math.round(quote.taxRate * 10000) / 100,
+    total: money.format(quote.total),
+    estimate: quote.estimate,
+    expiresAt: quote.expiresAt
+  };
+}
+
+// Follow-up reminder - the sequence step's message plus the findings it's about, in the client's
+// language. categories picks the flags to list; without them it's the critical ones.
+export function buildFollowUpView(scan, { message, categories, reportUrl, stopUrl, unsubscribeUrl, now = new Date() }) {
+  const t = createTranslator(scan.payload.locale);
+  const facts = buildScanFacts(scan.payload);
+  const device = deviceName(scan.payload);
+  const params = {
+    device,
+    date: scan.createdAt,
+    count: Math.round((now.getTime() - new Date(scan.createdAt).getTime()) / (24 * 60 * 60 * 1000))
+  };
+  const findings = scan.analysis.flags.filter(flag => categories
+    ? categories.includes(flag.category) && (flag.severity === 'CRITICAL' || flag.severity === 'MODERATE')
+    : flag.severity === 'CRITICAL');
+
+  return {
+    locale: t.locale,
+    clientName: scan.clientName,
+    subject: t(`followUp.messages.${message}.subject`, params),
+    body: t(`followUp.messages.${message}.body`, params),
+    scanDate: scan.createdAt,
+    findings: findings.slice(0, 5).map(flag => localizeFlagText(flag, facts, t)),
+    reportUrl,
+    stopUrl,
+    unsubscribeUrl
+  };
+}
+
+// "Tuesday, October 20, 2026 at 9:00 AM EDT" - booking times are in the business's time zone,
+// worded in the reader's language
+function formatBookingTime(iso, timeZone, locale, options = { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric', hour: 'numeric', minute: '2-digit', timeZoneName: 'short' }) {
+  return new Intl.DateTimeFormat(locale, { timeZone, ...options }).format(new Date(iso));
+}
+
+// Booking confirmation - the client's copy in their language, the technician's in English with
+// the client's details. invite is the wording for the attached calendar event.
+export function buildBookingView(booking, scan, { forTechnician = false, unsubscribeUrl } = {}) {
+  const t = createTranslator(forTechnician ? DEFAULT_LOCALE : scan.payload.locale);
+  const service = t.lookup(`quote.services.${booking.sku}`) || booking.serviceName;
+  const when = formatBookingTime(booking.start, booking.timeZone, t.locale);
+  const device = deviceName(scan.payload);
+  const client = booking.clientName ? `${booking.clientName} <${booking.clientEmail}>` : booking.clientEmail;
+
+  return {
+    locale: t.locale,
+    forTechnician,
+    clientName: booking.clientName,
+    client,
+    device,
+    service,
+    when,
+    duration: t('booking.duration', { count: Math.round((Date.parse(booking.end) - Date.parse(booking.start)) / 60000) }),
+    technician: booking.technicianName,
+    notes: booking.notes,
+    unsubscribeUrl,
+    subject: forTechnician
+      ? `📆 Booked: ${service} for ${booking.clientEmail} - ${when}`
+      : t('booking.subject', { service, when }),
+    invite: forTechnician
+      ? { summary: `${service} - ${booking.clientName || booking.clientEmail}`, description: `Client: ${client}\nDevice: ${device}${booking.notes ? `\nNotes: ${booking.notes}` : ''}` }
+      : { summary: t('booking.invite.summary', { service }), description: t('booking.invite.description', { service, device, technician: booking.technicianName }) }
+  };
+}
+
+// The "book this fix" page for one service. state: pick | taken (that time went, pick another) |
+// done | none (nothing open before the horizon) | already (booking is the one they hold for this
+// service) | tooMany (openBookings upcoming already) | limited (too many attempts from their IP)
+export function buildBookingPageView(scan, { sku, state, slots = [], timeZone, booking = null, openBookings = 0, horizonDays, reportUrl }) {
+  const t = createTranslator(scan.payload.locale);
+  const service = t.lookup(`quote.services.${sku}`) || priceService(sku).name;
+  const days = [];
+  for (const slot of slots) {
+    const label = formatBookingTime(slot.start, timeZone, t.locale, { weekday: 'long', month: 'long', day: 'numeric' });
+    if (days.at(-1)?.label !== label) days.push({ label, slots: [] });
+    days.at(-1).slots.push({ start: slot.start, label: formatBookingTime(slot.start, timeZone, t.locale, { hour: 'numeric', minute: '2-digit' }) });
+  }
+  const zoneName = new Intl.DateTimeFormat(t.locale, { timeZone, timeZoneName: 'long' })
+    .formatToParts(new Date(slots[0]?.start || Date.now()))
+    .find(part => part.type === 'timeZoneName')?.value || timeZone;
+
+  return {
+    locale: t.locale,
+    state,
+    service,
+    device: deviceName(scan.payload),
+    duration: slots[0] ? t('booking.duration', { count: Math.round((Date.parse(slots[0].end) - Date.parse(slots[0].start)) / 60000) }) : null,
+    zoneName,
+    days,
+    horizonDays,
+    openBookings,
+    when: booking ? formatBookingTime(booking.start, booking.timeZone, t.locale) : null,
+    technician: booking?.technicianName || null,
+    reportUrl
+  };
+}
+
+// ========== RENDERING ==========
+
+// Each returns { html, text } - text is the plain-text alternative part. The client email adds
+// its subject line, which is in the client's language too. Emails to the client take an
+// unsubscribeUrl for the footer.
+export function generateClientEmail(data, analysis, { reportUrl, bookingUrl, unsubscribeUrl } = {}) {
+  const view = buildClientView(data, analysis, { bookingUrl });
+  return {
+    ...templates.render('client-email', { ...view, reportUrl, unsubscribeUrl }),
+    subject: createTranslator(view.locale)('report.subject', { device: view.device })
+  };
+}
+
+export function generateInternalEmail(data, analysis, { assignment } = {}) {
+  return templates.render('internal-email', buildInternalView(data, analysis, { assignment }));
+}
+
+// Same sections as the client email, laid out for a browser instead of a mail client
+export function generateReportPage(data, analysis, { createdAt, expiresAt, pdfUrl, bookingUrl }) {
+  return templates.render('report-page', {
+    ...buildClientView(data, analysis, { bookingUrl }),
+    createdAt,
+    expiresAt,
+    pdfUrl
+  }).html;
+}
+
+// Subject in the client's language, like the report email
+export function generateQuoteEmail(scan, quote, { unsubscribeUrl } = {}) {
+  const view = buildQuoteView(scan, quote);
+  return {
+    ...templates.render('quote-email', { ...view, unsubscribeUrl }),
+    subject: createTranslator(view.locale)('quote.subject', { device: view.device })
+  };
+}
+
+export function generateFollowUpEmail(scan, options) {
+  const view = buildFollowUpView(scan, options);
+  return { ...templates.render('follow-up-email', view), subject: view.subject };
+}
+
+// Subject and invite wording come back with it, in the same language as the body
+export function generateBookingEmail(booking, scan, options) {
+  const view = buildBookingView(booking, scan, options);
+  return { ...templates.render('booking-email', view), subject: view.subject, invite: view.invite };
+}
+
+export function generateBookingPage(scan, options) {
+  return templates.render('booking-page', buildBookingPageView(scan, options)).html;
+}
+
+// No scan to take a language from - locale comes from the browser's Accept-Language
+export function generateReportUnavailablePage(reason, locale) {
+  return templates.render('report-unavailable', { locale: createTranslator(locale).locale, expired: reason === 'expired' }).html;
+}
+
+// The "stop these reminders" link's page - state is confirm (the button that POSTs), done or
+// unknown for a link we don't recognize
+export function generateFollowUpsStoppedPage(locale, { state }) {
+  return templates.render('follow-ups-stopped', { locale: createTranslator(locale).locale, state }).html;
+}
+
+// The unsubscribe link's page - state is confirm (the button that POSTs), done or invalid
+export function generateUnsubscribePage(locale, { state, email = null }) {
+  return templates.render('unsubscribe', { locale: createTranslator(locale).locale, state, email }).html;
+}
+
+// Everything report-pdf.js draws, from the same view models as the emails. The work-order PDF
+// is for the team, so it always renders in English.
+export function buildReportModel(scan, { audience = 'client' } = {}) {
+  const payload = audience === 'client' ? scan.payload : { ...scan.payload, locale: DEFAULT_LOCALE };
+  return {
+    ...buildClientView(payload, scan.analysis),
+    ...buildDiagnostics(scan.payload),
+    scanId: scan.id,
+    createdAt: scan.createdAt,
+    priorityLevel: scan.analysis.priorityLevel,
+    priorityScore: scan.analysis.priorityScore,
+    totalOpportunity: scan.analysis.totalOpportunity,
+    flags: {
+      critical: scan.analysis.flags.filter(f => f.severity === 'CRITICAL'),
+      moderate: scan.analysis.flags.filter(f => f.severity === 'MODERATE')
+    },
+    trendDetails: buildTrendDetails(scan.analysis.trends)
+  };
+}
@@ -0,0 +1,195 @@
+// resend-webhooks.js - Resend delivery/engagement events tied back to stored scans
+// Resend signs webhooks the Svix way: headers svix-id, svix-timestamp, svix-signature, and
+// signature = base64(HMAC-SHA256(base64decode(secret without "whsec_"), `${id}.${timestamp}.${rawBody}`)).
+// svix-signature may carry several space-separated "v1,<sig>" entries during secret rotation.
+
+import crypto from 'crypto';
+import { insert, find, update, getScan } from './store.js';
+import { findOpenLead, addLeadNote } from './leads.js';
+import { stopFollowUps, optOutOfFollowUps } from './follow-ups.js';
+import { suppress } from './suppression.js';
+import { findRepliedDelivery } from './email-queue.js';
+
+const TIMESTAMP_TOLERANCE_SECONDS = 5 * 60;
+
+// Resend event type → what we record on the scan
+const TRACKED_EVENTS = {
+  'email.delivered': 'delivered',
+  'email.opened': 'opened',
+  'email.clicked': 'clicked',
+  'email.bounced': 'bounced',
+  'email.complained': 'complained',
+  'email.delivery_delayed': 'delayed'
+};
+
+const PRIORITY_LEVELS = ['COLD', 'WARM', 'HOT'];
+
+// Emails to our own inboxes - a bounce or complaint there says nothing about the client
+const INTERNAL_KINDS = ['internal', 'booking-internal'];
+
+// A client reopening their report is the strongest buying signal we get
+const REPEAT_OPEN_THRESHOLD = 2;
+const REPEAT_OPEN_BOOST = 2;
+
+// ========== SIGNATURE VERIFICATION ==========
+
+// Returns null when the webhook is authentic, otherwise the reason it isn't
+export function verifyResendSignature({ rawBody, id, timestamp, signature }, secret, now = Date.now()) {
+  if (!id || !timestamp || !signature) return 'Missing svix-id, svix-timestamp or svix-signature header';
+
+  const seconds = parseInt(timestamp);
+  if (!seconds || Math.abs(Math.floor(now / 1000) - seconds) > TIMESTAMP_TOLERANCE_SECONDS) {
+    return 'Webhook timestamp outside allowed window';
+  }
+
+  const key = Buffer.from(secret.replace(/^whsec_/, ''), 'base64');
+  const expected = crypto.createHmac('sha256', key).update(`${id}.${timestamp}.${rawBody}`).digest('base64');
+
+  const matches = signature.split(' ').some(entry => {
+    const [version, value] = entry.split(',');
+    if (version !== 'v1' || !value) return false;
+    const a = Buffer.from(value);
+    const b = Buffer.from(expected);
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+  });
+
+  return matches ? null : 'Invalid webhook signature';
+}
+
+// Used by the replay script and anything else that needs to produce a valid webhook
+export function signResendPayload(rawBody, secret, { id = `msg_${crypto.randomUUID()}`, timestamp = Math.floor(Date.now() / 1000) } = {}) {
+  const key = Buffer.from(secret.replace(/^whsec_/, ''), 'base64');
+  const signature = crypto.createHmac('sha256', key).update(`${id}.${timestamp}.${rawBody}`).digest('base64');
+  return { 'svix-id': id, 'svix-timestamp': String(timestamp), 'svix-signature': `v1,${signature}` };
+}
+
+// ========== EVENT HANDLING ==========
+
+function bumpLevel(level) {
+  const index = PRIORITY_LEVELS.indexOf(level);
+  return PRIORITY_LEVELS[Math.min(index + 1, PRIORITY_LEVELS.length - 1)] || level;
+}
+
+function applyToScan(scan, delivery, type, occurredAt) {
+  const engagement = {
+    delivered: false,
+    opens: 0,
+    clicks: 0,
+    bounced: false,
+    complained: false,
+    lastEventAt: null,
+    ...scan.engagement
+  };
+  const leadPriority = scan.leadPriority || {
+    level: scan.analysis.priorityLevel,
+    score: scan.analysis.priorityScore,
+    reasons: []
+  };
+
+  // Engagement only counts on the client's copy - our own opens of the lead email mean nothing
+  if (delivery.kind === 'client') {
+    if (type === 'delivered') engagement.delivered = true;
+    if (type === 'opened') engagement.opens++;
+    if (type === 'clicked') engagement.clicks++;
+    if (type === 'bounced') engagement.bounced = true;
+    if (type === 'complained') engagement.complained = true;
+    // Resend doesn't guarantee ordering, so keep the latest rather than the last received
+    if (!engagement.lastEventAt || occurredAt > engagement.lastEventAt) engagement.lastEventAt = occurredAt;
+
+    if (type === 'opened' && engagement.opens === REPEAT_OPEN_THRESHOLD) {
+      leadPriority.level = bumpLevel(leadPriority.level);
+      leadPriority.score += REPEAT_OPEN_BOOST;
+      leadPriority.reasons = [...leadPriority.reasons, { at: occurredAt, reason: `Report opened ${engagement.opens} times` }];
+      console.log(`🔥 Lead heating up: ${scan.clientEmail} reopened their report - now ${leadPriority.level}`);
+    }
+  }
+
+  return update('scans', scan.id, { engagement, leadPriority });
+}
+
+// "Sam <sam@example.com>" → "sam@example.com"
+function senderAddress(from) {
+  if (typeof from !== 'string') return null;
+  const match = from.match(/<([^>]+)>/);
+  return (match ? match[1] : from).trim() || null;
+}
+
+// An inbound email (Resend receiving on our domain) - a client writing back ends their
+// follow-up reminders and lands on their lead as a note. It counts only when it went to the
+// tagged reply address of one of our emails; anyone can put a client's address in From.
+function handleReply(event, webhookId) {
+  const from = senderAddress(event.data?.from);
+  const occurredAt = event.created_at || event.data?.created_at || new Date().toISOString();
+  const delivery = findRepliedDelivery([...(event.data?.to || []), ...(event.data?.cc || [])]);
+  const client = delivery?.message.to;
+  const lead = client ? findOpenLead(client) : null;
+
+  const recorded = insert('emailEvents', {
+    webhookId,
+    type: 'replied',
+    providerId: event.data?.email_id || null,
+    deliveryId: delivery?.id || null,
+    scanId: delivery?.scanId || null,
+    kind: delivery?.kind || null,
+    occurredAt,
+    from
+  });
+  if (!lead) return { status: 'unmatched', event: recorded };
+
+  stopFollowUps(client, 'replied');
+  addLeadNote(lead.id, { text: `Replied by email (${from}): ${String(event.data?.subject || '(no subject)').substring(0, 200)}`, author: 'email' });
+  console.log(`↩️ ${client} replied - follow-ups stopped`);
+  return { status: 'recorded', event: recorded };
+}
+
+// Returns { status: 'recorded' | 'duplicate' | 'ignored' | 'unmatched', event? }
+export function handleResendEvent(event, webhookId) {
+  const type = TRACKED_EVENTS[event?.type];
+  if (!type && event?.type !== 'email.received') return { status: 'ignored' };
+
+  // Resend retries webhooks - the svix-id is stable across retries
+  if (find('emailEvents', e => e.webhookId === webhookId).length > 0) {
+    return { status: 'duplicate' };
+  }
+  if (!type) return handleReply(event, webhookId);
+
+  const providerId = event.data?.email_id;
+  const delivery = providerId ? find('deliveries', d => d.providerId === providerId)[0] : null;
+  const occurredAt = event.created_at || event.data?.created_at || new Date().toISOString();
+
+  const recorded = insert('emailEvents', {
+    webhookId,
+    type,
+    providerId: providerId || null,
+    deliveryId: delivery?.id || null,
+    scanId: delivery?.scanId || null,
+    kind: delivery?.kind || null,
+    occurredAt,
+    link: event.data?.click?.link || null,
+    bounce: event.data?.bounce || null
+  });
+
+  if (!delivery) return { status: 'unmatched', event: recorded };
+
+  const scan = delivery.scanId && getScan(delivery.scanId);
+  if (scan) applyToScan(scan, delivery, type, occurredAt);
+
+  // A spam complaint about anything we sent the client ends all email to them, and an address
+  // that hard-bounced will only bounce again - retrying it hurts our sending reputation
+  const toClient = !INTERNAL_KINDS.includes(delivery.kind);
+  if (type === 'complained' && toClient) {
+    optOutOfFollowUps(delivery.message.to, 'complaint');
+    suppress(delivery.message.to, { reason: 'complained', source: 'webhook' });
+  }
+  if (type === 'bounced' && event.data?.bounce?.type === 'Permanent' && toClient) {
+    suppress(delivery.message.to, { reason: 'bounced', source: 'webhook' });
+    console.log(`🔕 ${delivery.message.to} hard-bounced - added to the suppression list`);
+  }
+
+  return { status: 'recorded', event: recorded };
+}
+
+export function listEventsForScan(scanId) {
+  return find('emailEvents', e => e.scanId === scanId)
+    .sort((a, b) => a.occurredAt.localeCompare(b.occurredAt));
+}
@@ -0,0 +1,222 @@
+// routing.js - Which technician gets a new lead, from rules/routing.json
+// Rules match the scan with the same condition syntax as the flag rules, and send the lead to a
+// technician, round-robin through a pool, or to whoever is on call. A lead whose owner is one of
+// the technicians stays with them on a rescan. The file is re-read when it changes, so the team
+// can move leads around without a deploy - a broken edit is logged and the last good rules stay.
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { matches, validateCondition } from './rule-engine.js';
+import { insert, update, find, normalizeEmail } from './store.js';
+import { buildLeadFacts } from './leads.js';
+
+export const ROUTING_RULES_FILE = path.join(path.dirname(fileURLToPath(import.meta.url)), 'rules', 'routing.json');
+
+// Shared with the booking hours in rules/availability.json
+export const DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+export const CLOCK = /^([01]\d|2[0-3]):[0-5]\d$|^24:00$/;
+
+// ========== LOADING & VALIDATION ==========
+
+export function isTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return typeof timeZone === 'string';
+  } catch {
+    return false;
+  }
+}
+
+function validateTarget(to, routing, where) {
+  if (typeof to === 'string') {
+    if (!Object.hasOwn(routing.technicians, to)) throw new Error(`${where}: unknown technician "${to}"`);
+  } else if (to && typeof to.pool === 'string') {
+    if (!Object.hasOwn(routing.pools, to.pool)) throw new Error(`${where}: unknown pool "${to.pool}"`);
+  } else if (to && typeof to.onCall === 'string') {
+    if (!Object.hasOwn(routing.onCall, to.onCall)) throw new Error(`${where}: unknown on-call schedule "${to.onCall}"`);
+  } else {
+    throw new Error(`${where}: "to" must be a technician id, { "pool": name } or { "onCall": name }`);
+  }
+}
+
+// Throws on a bad file so a typo stops the server at startup instead of sending leads nowhere
+export function loadRoutingRules(file = ROUTING_RULES_FILE) {
+  let routing;
+  try {
+    routing = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not load routing rules ${file}: ${error.message}`);
+  }
+  const where = `Routing rules ${file}`;
+
+  if (!routing.technicians || typeof routing.technicians !== 'object' || Object.keys(routing.technicians).length === 0) {
+    throw new Error(`${where} has no "technicians"`);
+  }
+  for (const [id, technician] of Object.entries(routing.technicians)) {
+    if (typeof technician.name !== 'string' || !technician.name) throw new Error(`${where}: technician ${id} has no "name"`);
+    if (typeof technician.email !== 'string' || !technician.email.includes('@')) throw new Error(`${where}: technician ${id} needs an "email"`);
+  }
+
+  routing.pools = routing.pools || {};
+  for (const [name, members] of Object.entries(routing.pools)) {
+    if (!Array.isArray(members) || members.length === 0) throw new Error(`${where}: pool ${name} must list at least one technician`);
+    const unknown = members.find(id => !Object.hasOwn(routing.technicians, id));
+    if (unknown) throw new Error(`${where}: pool ${name} has unknown technician "${unknown}"`);
+  }
+
+  routing.onCall = routing.onCall || {};
+  for (const [name, schedule] of Object.entries(routing.onCall)) {
+    if (!isTimeZone(schedule.timeZone)) throw new Error(`${where}: on-call ${name} needs a "timeZone" like "America/New_York"`);
+    if (!Array.isArray(schedule.shifts) || schedule.shifts.length === 0) throw new Error(`${where}: on-call ${name} has no "shifts"`);
+    schedule.shifts.forEach((shift, i) => {
+      const at = `${where}: on-call ${name} shift #${i}`;
+      if (!Array.isArray(shift.days) || shift.days.length === 0 || !shift.days.every(day => DAYS.includes(day))) {
+        throw new Error(`${at}: "days" must list days from ${DAYS.join(', ')}`);
+      }
+      if (!CLOCK.test(shift.from || '') || !CLOCK.test(shift.to || '')) throw new Error(`${at}: "from" and "to" must be times like "09:00"`);
+      if (!Object.hasOwn(routing.technicians, shift.technician)) throw new Error(`${at}: unknown technician "${shift.technician}"`);
+    });
+  }
+
+  if (!Array.isArray(routing.rules)) throw new Error(`${where} has no "rules" array`);
+  const ids = new Set();
+  routing.rules.forEach((rule, i) => {
+    const at = `${where}: rule ${rule.id || `#${i}`}`;
+    if (!rule.id) throw new Error(`${at}: missing "id"`);
+    if (ids.has(rule.id)) throw new Error(`${where}: duplicate rule id "${rule.id}"`);
+    ids.add(rule.id);
+    validateCondition(rule.when, `${at}.when`);
+    validateTarget(rule.to, routing, at);
+  });
+
+  if (!Object.hasOwn(routing.technicians, routing.fallback)) throw new Error(`${where}: "fallback" must be a technician id`);
+
+  return { ...routing, source: file, modifiedAt: fs.statSync(file).mtimeMs };
+}
+
+let routing = loadRoutingRules(process.env.ROUTING_RULES_FILE || ROUTING_RULES_FILE);
+
+// The rules as of now - reloaded when the file's modification time moves
+export function currentRoutingRules() {
+  let modifiedAt;
+  try {
+    modifiedAt = fs.statSync(routing.source).mtimeMs;
+  } catch {
+    return routing;
+  }
+  if (modifiedAt === routing.modifiedAt) return routing;
+
+  try {
+    routing = loadRoutingRules(routing.source);
+    console.log(`🔀 Routing rules reloaded: ${routing.rules.length} rules from ${routing.source}`);
+  } catch (error) {
+    console.error(`❌ ${error.message} - keeping the previous routing rules`);
+    routing.modifiedAt = modifiedAt;
+  }
+  return routing;
+}
+
+// ========== TARGETS ==========
+
+// Day and minute of the day in the schedule's time zone
+function localTime(now, timeZone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', { timeZone, weekday: 'short', hour: '2-digit', minute: '2-digit', hourCycle: 'h23' })
+      .formatToParts(now)
+      .map(part => [part.type, part.value])
+  );
+  return { day: parts.weekday.toLowerCase(), minutes: parseInt(parts.hour) * 60 + parseInt(parts.minute) };
+}
+
+export function clockMinutes(clock) {
+  const [hours, minutes] = clock.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+// A shift whose "to" is earlier than its "from" runs overnight - its days are the days it starts
+function shiftCovers(shift, { day, minutes }) {
+  const from = clockMinutes(shift.from);
+  const to = clockMinutes(shift.to);
+  if (from < to) return shift.days.includes(day) && minutes >= from && minutes < to;
+
+  const previousDay = DAYS[(DAYS.indexOf(day) + 6) % 7];
+  return (shift.days.includes(day) && minutes >= from) || (shift.days.includes(previousDay) && minutes < to);
+}
+
+// The technician on shift, or null - first matching shift wins
+export function onCallTechnician(schedule, now = new Date()) {
+  const time = localTime(now, schedule.timeZone);
+  return schedule.shifts.find(shift => shiftCovers(shift, time))?.technician || null;
+}
+
+// The member after the last one this pool handed a lead to. Keyed by technician rather than
+// position, so adding someone to the pool doesn't make anyone get two in a row.
+function nextInPool(name, members) {
+  const state = find('routingPools', pool => pool.name === name)[0];
+  const last = state ? members.indexOf(state.lastTechnician) : -1;
+  const technician = members[(last + 1) % members.length];
+
+  if (state) {
+    update('routingPools', state.id, { lastTechnician: technician });
+  } else {
+    insert('routingPools', { name, lastTechnician: technician });
+  }
+  return technician;
+}
+
+// { technician, pool?, onCall? }, or null when an on-call schedule has nobody on shift
+function resolveTarget(to, now) {
+  if (typeof to === 'string') return { technician: to };
+  if (to.pool) return { technician: nextInPool(to.pool, routing.pools[to.pool]), pool: to.pool };
+
+  const technician = onCallTechnician(routing.onCall[to.onCall], now);
+  return technician ? { technician, onCall: to.onCall } : null;
+}
+
+// ========== ROUTING ==========
+
+// A lead owner can be typed as the technician's id or email
+function technicianForOwner(owner) {
+  const target = normalizeEmail(owner);
+  return Object.keys(routing.technicians).find(id =>
+    id.toLowerCase() === target || normalizeEmail(routing.technicians[id].email) === target
+  ) || null;
+}
+
+// The decision as stored on the lead: who, and why. via is owner | rule | fallback.
+export function routeLead(scan, lead, now = new Date()) {
+  currentRoutingRules();
+
+  const decide = (technician, reason) => ({
+    at: now.toISOString(),
+    scanId: scan.id,
+    technician,
+    name: routing.technicians[technician].name,
+    email: routing.technicians[technician].email,
+    via: reason.via,
+    rule: reason.rule || null,
+    pool: reason.pool || null,
+    onCall: reason.onCall || null
+  });
+
+  const owner = lead.owner && technicianForOwner(lead.owner);
+  if (owner) return decide(owner, { via: 'owner' });
+
+  const facts = buildLeadFacts(scan, lead);
+  for (const rule of routing.rules) {
+    if (!matches(rule.when, facts)) continue;
+    const target = resolveTarget(rule.to, now);
+    if (target) return decide(target.technician, { via: 'rule', rule: rule.id, ...target });
+  }
+  return decide(routing.fallback, { via: 'fallback' });
+}
+
+// "rule security-leads, round-robin: security" - for the lead email and the log
+export function describeRouting(decision) {
+  if (decision.via === 'owner') return 'lead owner';
+  if (decision.via === 'fallback') return 'no rule matched - fallback';
+  if (decision.pool) return `rule ${decision.rule}, round-robin: ${decision.pool}`;
+  if (decision.onCall) return `rule ${decision.rule}, on call: ${decision.onCall}`;
+  return `rule ${decision.rule}`;
+}
@@ -0,0 +1,225 @@
+// rule-engine.js - Data-driven flag rules for analyzeScanResults
+// Thresholds and wording live in rules/*.json so adding a check is a data change, not a code change.
+//
+// A rule looks like:
+//   {
+//     "id": "battery-critical",
+//     "group": "battery-wear",            // optional - within a group only the first match fires
+//     "when": { "all": [ { "fact": "batteryCapacity", "op": "lt", "value": 70 } ] },
+//     "severity": "CRITICAL", "category": "Battery",
+//     "clientFacing": "Battery: {{batteryCapacity}}% capacity", "issue": "...", "recommendation": "...",
+//     "sku": "HW-BATTERY", "priorityWeight": 3
+//   }
+//
+// "sku" names a service in the price catalog (see services.js): the caller passes a priceService
+// that turns it into the flag's upsell line and value. Rules without a SKU can still give a
+// literal "upsell" and "value", but not both at once.
+//
+// Conditions nest with "all" / "any" / "not". Leaves compare a fact with one of OPERATORS below.
+// Text fields are templates: {{fact}} or {{fact | filter:arg | filter}} - see FILTERS.
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const RULES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'rules');
+
+export const DEFAULT_RULES_FILE = path.join(RULES_DIR, 'default.json');
+export const WINDOWS_RULES_FILE = path.join(RULES_DIR, 'windows.json');
+
+const SEVERITIES = ['CRITICAL', 'MODERATE', 'INFO', 'POSITIVE'];
+
+// Plain JS comparisons on purpose - the rules reproduce the original if-chains exactly
+const OPERATORS = {
+  exists: (actual) => Boolean(actual),
+  missing: (actual) => !actual,
+  defined: (actual) => actual !== undefined,
+  isTrue: (actual) => actual === true,
+  isFalse: (actual) => actual === false,
+  eq: (actual, expected) => actual === expected,
+  ne: (actual, expected) => actual !== expected,
+  lt: (actual, expected) => actual < expected,
+  lte: (actual, expected) => actual <= expected,
+  gt: (actual, expected) => actual > expected,
+  gte: (actual, expected) => actual >= expected,
+  in: (actual, expected) => expected.includes(actual),
+  notIn: (actual, expected) => !expected.includes(actual),
+  // Substring of a string fact, or member of a list fact like "categories"
+  includes: (actual, expected) => (typeof actual === 'string' || Array.isArray(actual)) && actual.includes(expected),
+  includesAny: (actual, expected) => (typeof actual === 'string' || Array.isArray(actual)) && expected.some(e => actual.includes(e))
+};
+
+const FILTERS = {
+  truncate: (value, length) => (value === undefined || value === null ? value : String(value).substring(0, parseInt(length))),
+  lower: (value) => (value === undefined || value === null ? value : String(value).toLowerCase()),
+  upper: (value) => (value === undefined || value === null ? value : String(value).toUpperCase()),
+  default: (value, fallback) => value || fallback,
+  // "monitor{{externalMonitors | plural}}" → "monitor" / "monitors"
+  plural: (value, suffix = 's') => (Number(value) === 1 ? '' : suffix)
+};
+
+// ========== LOADING & VALIDATION ==========
+
+export function validateCondition(condition, where) {
+  if (!condition || typeof condition !== 'object') {
+    throw new Error(`${where}: condition must be an object`);
+  }
+  if (condition.all || condition.any) {
+    const children = condition.all || condition.any;
+    if (!Array.isArray(children)) throw new Error(`${where}: "all"/"any" must be an array`);
+    children.forEach((child, i) => validateCondition(child, `${where}[${i}]`));
+    return;
+  }
+  if (condition.not) {
+    validateCondition(condition.not, `${where}.not`);
+    return;
+  }
+  if (!condition.fact) throw new Error(`${where}: leaf condition needs a "fact"`);
+  if (!OPERATORS[condition.op]) throw new Error(`${where}: unknown operator "${condition.op}"`);
+}
+
+export function validateTemplate(template, where) {
+  if (typeof template !== 'string') return;
+  for (const [, expression] of template.matchAll(/\{\{([^}]+)\}\}/g)) {
+    const [, ...filters] = expression.split('|').map(part => part.trim());
+    for (const filter of filters) {
+      const name = filter.split(':')[0].trim();
+      if (!FILTERS[name]) throw new Error(`${where}: unknown template filter "${name}"`);
+    }
+  }
+}
+
+function validateRule(rule, index) {
+  const where = `rule ${rule.id || `#${index}`}`;
+
+  if (!rule.id) throw new Error(`${where}: missing "id"`);
+  validateCondition(rule.when, `${where}.when`);
+
+  if (rule.emitFlag !== false) {
+    if (!SEVERITIES.includes(rule.severity)) throw new Error(`${where}: severity must be one of ${SEVERITIES.join(', ')}`);
+    for (const field of ['category', 'clientFacing', 'issue', 'recommendation']) {
+      if (typeof rule[field] !== 'string') throw new Error(`${where}: missing "${field}"`);
+    }
+  }
+  for (const field of ['clientFacing', 'issue', 'recommendation', 'upsell']) {
+    validateTemplate(rule[field], `${where}.${field}`);
+  }
+  if (typeof (rule.value ?? 0) !== 'number') throw new Error(`${where}: "value" must be a number`);
+  if (rule.sku !== undefined) {
+    if (typeof rule.sku !== 'string' || !rule.sku) throw new Error(`${where}: "sku" must be a string`);
+    if (rule.upsell || rule.value) throw new Error(`${where}: a rule with a "sku" takes its upsell and value from the service catalog`);
+  }
+  if (typeof (rule.priorityWeight ?? 0) !== 'number') throw new Error(`${where}: "priorityWeight" must be a number`);
+}
+
+// Throws on a bad ruleset so a typo stops the server at startup instead of silently dropping flags
+export function loadRuleset(file = DEFAULT_RULES_FILE) {
+  let ruleset;
+  try {
+    ruleset = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not load ruleset ${file}: ${error.message}`);
+  }
+
+  if (!Array.isArray(ruleset.rules)) throw new Error(`Ruleset ${file} has no "rules" array`);
+  if (!Array.isArray(ruleset.priorityLevels)) throw new Error(`Ruleset ${file} has no "priorityLevels" array`);
+
+  const ids = new Set();
+  ruleset.rules.forEach((rule, i) => {
+    validateRule(rule, i);
+    if (ids.has(rule.id)) throw new Error(`Ruleset ${file}: duplicate rule id "${rule.id}"`);
+    ids.add(rule.id);
+  });
+  ruleset.priorityLevels.forEach((level, i) => validateCondition(level.when, `priorityLevels[${i}].when`));
+
+  return { ...ruleset, source: file };
+}
+
+// ========== EVALUATION ==========
+
+export function matches(condition, facts) {
+  if (condition.all) return condition.all.every(child => matches(child, facts));
+  if (condition.any) return condition.any.some(child => matches(child, facts));
+  if (condition.not) return !matches(condition.not, facts);
+
+  let actual = facts[condition.fact];
+  let expected = condition.value;
+  if (condition.ignoreCase) {
+    if (typeof actual === 'string') actual = actual.toLowerCase();
+    if (Array.isArray(actual)) actual = actual.map(a => String(a).toLowerCase());
+    expected = Array.isArray(expected) ? expected.map(e => String(e).toLowerCase()) : String(expected).toLowerCase();
+  }
+  return OPERATORS[condition.op](actual, expected);
+}
+
+// An empty placeholder takes the space before it along, so "macOS {{version}} {{name}}" with no
+// name doesn't leave a double space
+export function renderTemplate(template, facts) {
+  if (template === null || template === undefined) return null;
+
+  return template.replace(/( ?)\{\{([^}]+)\}\}/g, (_, space, expression) => {
+    const [factName, ...filters] = expression.split('|').map(part => part.trim());
+    let value = facts[factName];
+
+    for (const filter of filters) {
+      const colon = filter.indexOf(':');
+      const name = colon === -1 ? filter : filter.substring(0, colon).trim();
+      const arg = colon === -1 ? undefined : filter.substring(colon + 1).trim().replace(/^['"]|['"]$/g, '');
+      value = FILTERS[name](value, arg);
+    }
+
+    return value === undefined || value === null || value === '' ? '' : `${space}${value}`;
+  });
+}
+
+// Returns the flags in rule order plus the score and opportunity they add up to, and the SKUs of
+// every rule that fired (flag or not). priceService(sku, facts) → { label, value } prices SKUs.
+export function evaluateRules(ruleset, facts, { priceService } = {}) {
+  const flags = [];
+  const services = [];
+  const firedGroups = new Set();
+  let priorityScore = 0;
+  let totalOpportunity = 0;
+
+  for (const rule of ruleset.rules) {
+    if (rule.group && firedGroups.has(rule.group)) continue;
+    if (!matches(rule.when, facts)) continue;
+
+    if (rule.group) firedGroups.add(rule.group);
+
+    let service = null;
+    if (rule.sku) {
+      if (!priceService) throw new Error(`rule ${rule.id}: has a "sku" but no priceService was given`);
+      service = priceService(rule.sku, facts);
+      if (!services.includes(rule.sku)) services.push(rule.sku);
+    }
+    const value = service ? service.value : rule.value || 0;
+
+    priorityScore += rule.priorityWeight || 0;
+    totalOpportunity += value;
+
+    if (rule.emitFlag === false) continue;
+
+    flags.push({
+      severity: rule.severity,
+      category: rule.category,
+      clientFacing: renderTemplate(rule.clientFacing, facts),
+      issue: renderTemplate(rule.issue, facts),
+      recommendation: renderTemplate(rule.recommendation, facts),
+      upsell: service ? service.label : renderTemplate(rule.upsell ?? null, facts),
+      value,
+      sku: rule.sku || null,
+      ruleId: rule.id
+    });
+  }
+
+  return { flags, priorityScore, totalOpportunity, services };
+}
+
+// First matching level wins - the ruleset should end with a catch-all
+export function classifyPriority(ruleset, summary) {
+  const level = ruleset.priorityLevels.find(l => matches(l.when, summary));
+  return level
+    ? { priorityLevel: level.priorityLevel, systemHealth: level.systemHealth }
+    : { priorityLevel: 'COLD', systemHealth: 'GOOD' };
+}
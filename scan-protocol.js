@@ -0,0 +1,76 @@
+// scan-protocol.js - Versioned scan payload protocol
+// The scanner app ships on its own schedule, so old builds stay in the wild for months.
+// Each version gets an adapter that upgrades it one step; payloads are walked up to
+// CURRENT_SCHEMA_VERSION before validation and analysis ever see them.
+//
+// Version history:
+//   1 - Original scanner builds. No schemaVersion field, client address sent as `email`
+//       (some later builds send `clientEmail` as well), platform implied to be mac.
+//   2 - Explicit schemaVersion, `clientEmail` only, `platform` always sent.
+
+export const CURRENT_SCHEMA_VERSION = 2;
+export const MIN_SUPPORTED_SCHEMA_VERSION = 1;
+
+// Payloads without a schemaVersion predate the protocol
+const IMPLICIT_VERSION = 1;
+
+// ADAPTERS[n] upgrades a version n payload to version n + 1
+const ADAPTERS = {
+  1: (payload) => {
+    const { email, ...rest } = payload;
+    return {
+      ...rest,
+      clientEmail: rest.clientEmail || email,
+      platform: rest.platform || 'mac',
+      schemaVersion: 2
+    };
+  }
+};
+
+// Returns { payload, protocol, warnings } or { error } when the version can't be handled
+export function upgradePayload(raw) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    return { payload: raw, protocol: null, warnings: [] };
+  }
+
+  const warnings = [];
+  const declared = raw.schemaVersion;
+  let receivedVersion = IMPLICIT_VERSION;
+
+  if (declared !== undefined && declared !== null) {
+    receivedVersion = Number(declared);
+    if (!Number.isInteger(receivedVersion) || receivedVersion < 1) {
+      return { error: { field: 'schemaVersion', message: 'schemaVersion must be a positive whole number' } };
+    }
+  }
+
+  if (receivedVersion < MIN_SUPPORTED_SCHEMA_VERSION) {
+    return { error: { field: 'schemaVersion', message: `schemaVersion ${receivedVersion} is no longer supported (minimum ${MIN_SUPPORTED_SCHEMA_VERSION})` } };
+  }
+
+  let payload = { ...raw, schemaVersion: receivedVersion };
+  let version = receivedVersion;
+
+  if (version > CURRENT_SCHEMA_VERSION) {
+    // Scanner shipped ahead of the backend - don't lose the lead, read it as the newest shape we know
+    warnings.push({ field: 'schemaVersion', message: `schemaVersion ${version} is newer than this server (${CURRENT_SCHEMA_VERSION}) - processed as ${CURRENT_SCHEMA_VERSION}` });
+    payload.schemaVersion = CURRENT_SCHEMA_VERSION;
+    version = CURRENT_SCHEMA_VERSION;
+  }
+
+  while (version < CURRENT_SCHEMA_VERSION) {
+    payload = ADAPTERS[version](payload);
+    version++;
+  }
+
+  return {
+    payload,
+    warnings,
+    protocol: {
+      receivedVersion,
+      acceptedVersion: version,
+      currentVersion: CURRENT_SCHEMA_VERSION,
+      upgradeRecommended: receivedVersion < CURRENT_SCHEMA_VERSION
+    }
+  };
+}
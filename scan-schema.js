@@ -0,0 +1,266 @@
+// scan-schema.js - Payload schema, validation and unit normalization for /scan-results
+// The scanner app and the backend ship independently - be liberal in what we accept
+// ("85%", "16 GB", "8192 MB", "true") but never let a bad type reach analyzeScanResults.
+
+import { resolveLocale, SUPPORTED_LOCALES, DEFAULT_LOCALE } from './i18n.js';
+
+const EMAIL_PATTERN = /^[^\s@<>(),;:"]+@[^\s@<>(),;:"]+\.[^\s@<>(),;:"]{2,}$/;
+
+// Scanner-reported strings are hardware descriptors - anything longer is junk or an attack, and
+// it all ends up in email bodies. Fields with an explicit maxLength reject instead of clipping.
+const MAX_STRING_LENGTH = 120;
+
+// Zero-width and bidi-override characters can disguise or reorder the text around them
+const INVISIBLE_CHARACTERS = /[\u200b-\u200f\u202a-\u202e\u2060-\u2069\ufeff]/g;
+const CONTROL_CHARACTERS = /[\u0000-\u001f\u007f-\u009f]/g;
+
+// Size suffixes → multiplier to GB
+const SIZE_UNITS = { B: 1 / 1024 ** 3, KB: 1 / 1024 ** 2, MB: 1 / 1024, GB: 1, TB: 1024 };
+
+// Describes the CURRENT protocol version - older payloads are upgraded first (see scan-protocol.js)
+// type: string | number | integer | boolean | email | backupDate | locale
+// maxLength: strings only - longer values are rejected (otherwise clipped to MAX_STRING_LENGTH)
+// unit: GB | percent | MHz | celsius - controls which suffixes a string value may carry
+export const SCAN_FIELDS = {
+  schemaVersion: { type: 'integer', min: 1 },
+
+  // Client
+  clientEmail: { type: 'email' },
+  clientName: { type: 'string', maxLength: 100 },
+  locale: { type: 'locale' },
+  // Free-form - state, county or service area, for lead routing (rules/routing.json)
+  region: { type: 'string', maxLength: 60 },
+  // The client ticked "send me reminders and offers" - follow-ups only go out when this is true
+  marketingConsent: { type: 'boolean' },
+
+  // Identity
+  platform: { type: 'string', enum: ['mac', 'windows'] },
+  hardwareUUID: { type: 'string' },
+  serialNumber: { type: 'string' },
+
+  // System - macModel on Macs, the SMBIOS strings on PCs
+  macModel: { type: 'string' },
+  systemManufacturer: { type: 'string' },
+  systemModel: { type: 'string' },
+  systemFamily: { type: 'string' },
+  osName: { type: 'string' },
+  osVersion: { type: 'string' },
+  cpuBrand: { type: 'string' },
+  architecture: { type: 'string' },
+  physicalCores: { type: 'integer', min: 1 },
+  gpuModel: { type: 'string' },
+  cpuTemperature: { type: 'number', unit: 'celsius', min: 0 },
+  aiPreparednessTier: { type: 'string' },
+
+  // Memory
+  totalRAM: { type: 'number', unit: 'GB', min: 0 },
+  memoryPressure: { type: 'string' },
+  ramSpeed: { type: 'number', unit: 'MHz', min: 0 },
+  memoryFormFactor: { type: 'string' },
+
+  // Storage
+  totalStorage: { type: 'number', unit: 'GB', min: 0 },
+  freeStoragePercent: { type: 'number', unit: 'percent', min: 0, max: 100 },
+  storageType: { type: 'string' },
+
+  // Battery - new batteries can report slightly over 100% of design capacity
+  batteryCapacity: { type: 'number', unit: 'percent', min: 0, max: 150 },
+  batteryCycles: { type: 'integer', min: 0 },
+  batteryCondition: { type: 'string' },
+
+  // Data protection & security
+  lastBackupDate: { type: 'backupDate' },
+  firewallEnabled: { type: 'boolean' },
+  fileVaultEnabled: { type: 'boolean' },
+  sipEnabled: { type: 'boolean' },
+  bitLockerEnabled: { type: 'boolean' },
+  secureBootEnabled: { type: 'boolean' },
+  tpmVersion: { type: 'number', min: 0 },
+  biosMode: { type: 'string' },
+  defenderEnabled: { type: 'boolean' },
+  antivirusProduct: { type: 'string' },
+  softwareUpdateStatus: { type: 'string' },
+
+  // Performance, network & display
+  loginItemsCount: { type: 'integer', min: 0 },
+  networkType: { type: 'string' },
+  wifiSignalStrength: { type: 'string' },
+  displayResolution: { type: 'string' },
+  externalMonitors: { type: 'integer', min: 0 }
+};
+
+// ========== TEXT CLEANUP ==========
+
+// Mail clients turn anything URL-shaped into a live link, so a clientName of "www.example.com"
+// would arrive as a clickable link in our own email. Break schemes and hostnames the way
+// security write-ups do: https[:]//example[.]com
+function defangLinks(value) {
+  return value
+    .replace(/\b([a-z][a-z0-9+.-]*):(\/\/)?/gi, (match, scheme, slashes) =>
+      slashes || /^(javascript|vbscript|data|mailto|file)$/i.test(scheme) ? `${scheme}[:]${slashes || ''}` : match)
+    .replace(/\b(?:[a-z0-9-]+\.)+[a-z]{2,}\b/gi, host => host.replace(/\./g, '[.]'));
+}
+
+// One line of printable text: no control characters, no invisible formatting, single spaces
+function cleanText(value) {
+  return value
+    .replace(INVISIBLE_CHARACTERS, '')
+    .replace(CONTROL_CHARACTERS, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// ========== FIELD NORMALIZERS ==========
+// Each returns { value } on success or { error } with a message for the client, plus an
+// optional warning when the value had to be adjusted
+
+function normalizeString(value, spec) {
+  if (typeof value === 'number' || typeof value === 'boolean') value = String(value);
+  if (typeof value !== 'string') return { error: 'must be a string' };
+
+  value = cleanText(value);
+  if (spec.enum) {
+    const match = spec.enum.find(option => option.toLowerCase() === value.toLowerCase());
+    if (!match) return { error: `must be one of: ${spec.enum.join(', ')}` };
+    return { value: match };
+  }
+  if (spec.maxLength && value.length > spec.maxLength) {
+    return { error: `must be at most ${spec.maxLength} characters` };
+  }
+
+  value = defangLinks(value);
+  if (value.length > MAX_STRING_LENGTH) {
+    return { value: value.substring(0, MAX_STRING_LENGTH).trim(), warning: `clipped to ${MAX_STRING_LENGTH} characters` };
+  }
+  return { value };
+}
+
+function parseNumberWithUnit(value, unit) {
+  if (typeof value === 'number') return Number.isFinite(value) ? { value } : { error: 'must be a finite number' };
+  if (typeof value !== 'string') return { error: 'must be a number' };
+
+  const match = value.trim().match(/^(-?\d+(?:\.\d+)?)\s*([a-zA-Z%°]*)$/);
+  if (!match) return { error: 'must be a number' };
+
+  const number = parseFloat(match[1]);
+  const suffix = match[2].toUpperCase();
+  if (!suffix) return { value: number };
+
+  if (unit === 'GB' && SIZE_UNITS[suffix] !== undefined) {
+    // Round to 2 decimals so "8192 MB" lands on exactly 8
+    return { value: Math.round(number * SIZE_UNITS[suffix] * 100) / 100 };
+  }
+  if (unit === 'percent' && suffix === '%') return { value: number };
+  if (unit === 'MHz' && suffix === 'MHZ') return { value: number };
+  if (unit === 'MHz' && suffix === 'GHZ') return { value: number * 1000 };
+  if (unit === 'celsius' && (suffix === 'C' || suffix === '°C')) return { value: number };
+
+  return { error: `has an unrecognized unit "${match[2]}"` };
+}
+
+function normalizeNumber(value, spec) {
+  const parsed = parseNumberWithUnit(value, spec.unit);
+  if (parsed.error) return parsed;
+
+  if (spec.type === 'integer' && !Number.isInteger(parsed.value)) return { error: 'must be a whole number' };
+  if (spec.min !== undefined && parsed.value < spec.min) return { error: `must be at least ${spec.min}` };
+  if (spec.max !== undefined && parsed.value > spec.max) return { error: `must be at most ${spec.max}` };
+  return parsed;
+}
+
+function normalizeBoolean(value) {
+  if (typeof value === 'boolean') return { value };
+  if (value === 1 || value === 0) return { value: value === 1 };
+  if (typeof value === 'string') {
+    const lowered = value.trim().toLowerCase();
+    if (['true', 'yes', 'on', 'enabled', '1'].includes(lowered)) return { value: true };
+    if (['false', 'no', 'off', 'disabled', '0'].includes(lowered)) return { value: false };
+  }
+  return { error: 'must be true or false' };
+}
+
+function normalizeEmailField(value) {
+  if (typeof value !== 'string') return { error: 'must be an email address' };
+  const trimmed = value.trim();
+  if (!EMAIL_PATTERN.test(trimmed) || trimmed.length > 254) return { error: 'is not a valid email address' };
+  return { value: trimmed };
+}
+
+// 'Never' and 'Unknown' are how the scanner reports "no Time Machine history"
+function normalizeBackupDate(value) {
+  if (typeof value !== 'string') return { error: 'must be a date string, "Never" or "Unknown"' };
+  const trimmed = value.trim();
+  if (trimmed === 'Never' || trimmed === 'Unknown') return { value: trimmed };
+  if (isNaN(new Date(trimmed).getTime())) return { error: 'must be a date string, "Never" or "Unknown"' };
+  return { value: trimmed };
+}
+
+// "es-MX" → "es". An unsupported language isn't worth losing the lead over - send it in English.
+function normalizeLocale(value) {
+  if (typeof value !== 'string' || !value.trim()) return { error: 'must be a language tag like "en" or "es-MX"' };
+  const locale = resolveLocale(value);
+  const language = value.trim().toLowerCase().split(/[-_]/)[0];
+  if (locale === DEFAULT_LOCALE && language !== DEFAULT_LOCALE) {
+    return { value: locale, warning: `"${cleanText(value).substring(0, 35)}" is not supported (${SUPPORTED_LOCALES.join(', ')}) - using ${DEFAULT_LOCALE}` };
+  }
+  return { value: locale };
+}
+
+const NORMALIZERS = {
+  string: normalizeString,
+  number: normalizeNumber,
+  integer: normalizeNumber,
+  boolean: normalizeBoolean,
+  email: normalizeEmailField,
+  backupDate: normalizeBackupDate,
+  locale: normalizeLocale
+};
+
+// ========== PAYLOAD VALIDATION ==========
+
+// Returns { data, errors, warnings }. data is the normalized payload (unknown fields kept as-is);
+// errors mean the scan must be rejected with a 422.
+export function validateScanPayload(payload) {
+  const errors = [];
+  const warnings = [];
+
+  if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+    return { data: null, errors: [{ field: null, message: 'Payload must be a JSON object' }], warnings };
+  }
+
+  const data = {};
+
+  for (const [field, raw] of Object.entries(payload)) {
+    const spec = SCAN_FIELDS[field];
+
+    if (!spec) {
+      warnings.push({ field, message: 'Unknown field - stored but not used in analysis' });
+      data[field] = raw;
+      continue;
+    }
+
+    // Scanner sends null/"" when it couldn't read a value - treat as not reported
+    if (raw === null || raw === '') continue;
+
+    const result = NORMALIZERS[spec.type](raw, spec);
+    if (result.error) {
+      errors.push({ field, message: `${field} ${result.error}` });
+    } else {
+      data[field] = result.value;
+      if (result.warning) warnings.push({ field, message: `${field} ${result.warning}` });
+    }
+  }
+
+  // Cross-field checks
+  if (!payload.clientEmail) {
+    errors.push({ field: 'clientEmail', message: 'clientEmail is required' });
+  }
+  if (data.totalRAM !== undefined && !data.macModel && data.platform !== 'windows') {
+    warnings.push({ field: 'macModel', message: 'macModel missing - RAM upgradeability cannot be determined' });
+  }
+  if (data.totalRAM !== undefined && !data.memoryFormFactor && data.platform === 'windows') {
+    warnings.push({ field: 'memoryFormFactor', message: 'memoryFormFactor missing - RAM upgradeability cannot be determined' });
+  }
+
+  return { data: errors.length ? null : data, errors, warnings };
+}
@@ -0,0 +1,178 @@
+// scanner-auth.js - Who is allowed to submit scans (and make us send email from our domain)
+// Every scanner build or partner gets its own key so one leaked build can be revoked without
+// touching the others. Two ways to authenticate:
+//
+//   HMAC (preferred):  X-Scanner-Key: <keyId>
+//                      X-Scanner-Timestamp: <unix seconds>
+//                      X-Scanner-Nonce: <random, single use>
+//                      X-Scanner-Signature: hex(HMAC-SHA256(secret, `${timestamp}.${nonce}.${rawBody}`))
+//
+//   API token:         Authorization: Bearer <token>  (plus the same timestamp + nonce headers)
+//
+// Timestamps outside the tolerance window and reused nonces are rejected as replays.
+
+import crypto from 'crypto';
+import { insert, find, findById, update, recordAbuse } from './store.js';
+
+const TIMESTAMP_TOLERANCE_SECONDS = parseInt(process.env.SCANNER_TIMESTAMP_TOLERANCE) || 300;
+
+// required: reject unsigned scans | optional: accept but log them (rollout only) | off: no checks
+export const SCANNER_AUTH_MODE = process.env.SCANNER_AUTH_MODE || 'required';
+
+// Nonces only need to outlive the timestamp window - after that the timestamp check rejects the replay
+const seenNonces = new Map();
+
+function pruneNonces(nowSeconds) {
+  for (const [nonce, expiresAt] of seenNonces) {
+    if (expiresAt < nowSeconds) seenNonces.delete(nonce);
+  }
+}
+
+function hash(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+function safeEqual(a, b) {
+  const bufferA = Buffer.from(String(a));
+  const bufferB = Buffer.from(String(b));
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+// Never hand secrets back after creation
+function publicKey(key) {
+  const { secret, tokenHash, ...rest } = key;
+  return rest;
+}
+
+// ========== KEY MANAGEMENT ==========
+
+// type: 'hmac' or 'token'. The secret/token is only ever returned here - store it in the scanner build.
+export function createScannerKey({ label, kind = 'build', type = 'hmac' }) {
+  const secret = crypto.randomBytes(32).toString('hex');
+  const key = insert('scannerKeys', {
+    label,
+    kind,
+    type,
+    secret: type === 'hmac' ? secret : null,
+    tokenHash: type === 'token' ? hash(secret) : null,
+    revokedAt: null,
+    lastUsedAt: null
+  });
+
+  return type === 'hmac'
+    ? { ...publicKey(key), secret }
+    : { ...publicKey(key), token: `vss_${key.id}_${secret}` };
+}
+
+export function listScannerKeys() {
+  return find('scannerKeys').map(publicKey);
+}
+
+export function revokeScannerKey(id) {
+  const key = findById('scannerKeys', id);
+  if (!key) return null;
+  if (key.revokedAt) return publicKey(key);
+  return publicKey(update('scannerKeys', id, { revokedAt: new Date().toISOString() }));
+}
+
+// ========== REQUEST VERIFICATION ==========
+
+function checkFreshness(req) {
+  const timestamp = parseInt(req.get('X-Scanner-Timestamp'));
+  const nonce = req.get('X-Scanner-Nonce');
+
+  if (!timestamp || !nonce) {
+    return 'Missing X-Scanner-Timestamp or X-Scanner-Nonce header';
+  }
+  if (nonce.length < 16 || nonce.length > 128) {
+    return 'X-Scanner-Nonce must be 16-128 characters';
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  if (Math.abs(now - timestamp) > TIMESTAMP_TOLERANCE_SECONDS) {
+    return 'Request timestamp outside allowed window';
+  }
+
+  pruneNonces(now);
+  if (seenNonces.has(nonce)) {
+    return 'Nonce already used';
+  }
+
+  return null;
+}
+
+function findKeyForRequest(req) {
+  const authorization = req.get('Authorization') || '';
+  const bearer = authorization.match(/^Bearer\s+vss_([0-9a-f-]{36})_([0-9a-f]+)$/i);
+
+  if (bearer) {
+    const key = findById('scannerKeys', bearer[1]);
+    if (!key || key.type !== 'token' || !safeEqual(key.tokenHash, hash(bearer[2]))) return { error: 'Invalid API token' };
+    return { key };
+  }
+
+  const keyId = req.get('X-Scanner-Key');
+  const signature = req.get('X-Scanner-Signature');
+  if (!keyId || !signature) return { error: 'Missing scanner credentials' };
+
+  const key = findById('scannerKeys', keyId);
+  if (!key || key.type !== 'hmac') return { error: 'Unknown scanner key' };
+
+  const expected = crypto.createHmac('sha256', key.secret)
+    .update(`${req.get('X-Scanner-Timestamp')}.${req.get('X-Scanner-Nonce')}.${req.rawBody || ''}`)
+    .digest('hex');
+  if (!safeEqual(expected, signature.toLowerCase())) return { error: 'Invalid signature' };
+
+  return { key };
+}
+
+// Returns { key } when the request is authentic, { error } otherwise
+export function verifyScannerRequest(req) {
+  const staleError = checkFreshness(req);
+  if (staleError) return { error: staleError };
+
+  const { key, error } = findKeyForRequest(req);
+  if (error) return { error };
+  if (key.revokedAt) return { error: 'Scanner key revoked' };
+
+  // Only burn the nonce once the request is authentic, so garbage can't pre-claim nonces
+  seenNonces.set(req.get('X-Scanner-Nonce'), parseInt(req.get('X-Scanner-Timestamp')) + TIMESTAMP_TOLERANCE_SECONDS);
+  update('scannerKeys', key.id, { lastUsedAt: new Date().toISOString() });
+
+  return { key };
+}
+
+// ========== MIDDLEWARE ==========
+
+export function requireScannerAuth(req, res, next) {
+  if (SCANNER_AUTH_MODE === 'off') return next();
+
+  const { key, error } = verifyScannerRequest(req);
+  if (key) {
+    req.scannerKey = publicKey(key);
+    return next();
+  }
+
+  if (SCANNER_AUTH_MODE === 'optional') {
+    console.log(`⚠️ Unauthenticated scan accepted (SCANNER_AUTH_MODE=optional): ${error}`);
+    return next();
+  }
+
+  console.log(`🚫 Rejected scan from ${req.ip}: ${error}`);
+  recordAbuse({ ip: req.ip, reason: 'auth_failed', scannerKeyId: req.get('X-Scanner-Key'), details: error });
+  return res.status(401).json({ error: 'Scanner authentication failed', details: error });
+}
+
+// Team-only endpoints: scan history, key management. Disabled entirely until ADMIN_API_TOKEN is set.
+export function requireAdmin(req, res, next) {
+  const adminToken = process.env.ADMIN_API_TOKEN;
+  if (!adminToken) {
+    return res.status(503).json({ error: 'Admin API disabled - set ADMIN_API_TOKEN' });
+  }
+
+  const provided = (req.get('Authorization') || '').replace(/^Bearer\s+/i, '');
+  if (!safeEqual(provided, adminToken)) {
+    return res.status(401).json({ error: 'Admin authentication required' });
+  }
+  return next();
+}
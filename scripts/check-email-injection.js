@@ -0,0 +1,257 @@
+// check-email-injection.js - Render everything a scan reaches from hostile payloads and prove the markup holds
+// Usage: node scripts/check-email-injection.js [fixture files...]
+//
+// Each fixture in fixtures/malicious-payloads overrides a few fields of base.json. The payload goes
+// through the same validation and analysis as POST /scan-results and is rendered into every email,
+// page and PDF that shows scan data: the client and internal emails, the hosted report page, both
+// PDFs, the quote, follow-up and booking emails (with their calendar invites), the booking page,
+// and the unsubscribe and stop-reminders pages. Each is rendered next to a "twin" with the same
+// fields stripped down to letters, digits and dots. The two must produce the same tag/attribute
+// skeleton, the same number of plain-text lines and the same calendar properties; every link must
+// be one we put there; subjects stay on one line; nothing URL-shaped from the fixture may survive
+// undefanged; no invisible or control characters and no over-long field may reach any part.
+// Exits 1 on any failure.
+
+import fs from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+import { fileURLToPath } from 'url';
+import { validateScanPayload } from '../scan-schema.js';
+import { analyzeScanResults } from '../analysis.js';
+import { priceService } from '../services.js';
+import { buildBookingIcs } from '../bookings.js';
+import { renderReportPdf } from '../report-pdf.js';
+import {
+  generateClientEmail, generateInternalEmail, generateReportPage, generateQuoteEmail, generateFollowUpEmail,
+  generateBookingEmail, generateBookingPage, generateUnsubscribePage, generateFollowUpsStoppedPage, buildReportModel
+} from '../reports.js';
+
+const FIXTURE_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'fixtures', 'malicious-payloads');
+const BASE = JSON.parse(fs.readFileSync(path.join(FIXTURE_DIR, 'base.json'), 'utf8'));
+const BASE_URL = 'https://scanner.drwinmac.tech';
+const REPORT_URL = `${BASE_URL}/report/TOKEN`;
+const BOOKING_SKU = 'SVC-BACKUP';
+
+// Every href, form action and src the templates (and PDF links) are allowed to emit
+const ALLOWED_LINK = /^(https:\/\/www\.drwinmac\.tech[\w/.-]*|https:\/\/scanner\.drwinmac\.tech\/(report\/TOKEN(\/report\.pdf|\/book(\/[A-Z0-9-]+)?)?|unsubscribe\/TOKEN|follow-ups\/stop\/TOKEN)|mailto:[^?&]+)$/;
+const ATTACKER_HOST = /attacker\.example/i;
+const HIDDEN_CHARACTER = /[\u0000-\u0008\u000b\u000c\u000e-\u001f\u007f-\u009f\u200b-\u200f\u202a-\u202e\u2060-\u2069\ufeff]/;
+const MAX_FIELD_LENGTH = 120;
+
+// ========== RENDERING ==========
+
+// WinAnsi is Latin-1 plus printable characters in 0x80-0x9f (bullet, dashes, curly quotes...);
+// the five codes it leaves undefined stay control characters
+const WIN_ANSI_HIGH = '€\x81‚ƒ„…†‡ˆ‰Š‹Œ\x8dŽ\x8f\x90‘’“”•–—˜™š›œ\x9džŸ';
+
+function winAnsi(bytes) {
+  return [...bytes].map(byte => byte >= 0x80 && byte <= 0x9f ? WIN_ANSI_HIGH[byte - 0x80] : String.fromCharCode(byte)).join('');
+}
+
+// The text a PDF draws (pdfkit writes it as WinAnsi hex strings in deflated content streams) plus
+// its document info strings, and the targets of its links
+function readPdf(buffer) {
+  const raw = buffer.toString('latin1');
+  const streams = [...raw.matchAll(/stream\r?\n([\s\S]*?)\r?\nendstream/g)]
+    .map(([, data]) => zlib.inflateSync(Buffer.from(data, 'latin1')).toString('latin1'));
+  const drawn = streams.flatMap(stream => [...stream.matchAll(/\[([^\]]*)\]\s*TJ/g)])
+    .map(([, parts]) => [...parts.matchAll(/<([0-9a-f]*)>/gi)].map(([, hex]) => winAnsi(Buffer.from(hex, 'hex'))).join(''));
+  const strings = [...raw.replace(/stream\r?\n[\s\S]*?\r?\nendstream/g, '').matchAll(/\(((?:\\.|[^\\)])*)\)/g)]
+    .map(([, value]) => value.replace(/\\(.)/g, '$1'));
+  const links = [...raw.matchAll(/\/URI \(((?:\\.|[^\\)])*)\)/g)].map(([, uri]) => uri.replace(/\\(.)/g, '$1'));
+  return { text: [...strings, drawn.join('')].join('\n'), links };
+}
+
+// { label: { html?, text?, subject?, ics?, pdf? } } for every document the payload lands in
+async function render(payload) {
+  const { data, errors } = validateScanPayload(payload);
+  if (errors.length > 0) return { errors };
+
+  const analysis = analyzeScanResults(data);
+  const scan = {
+    id: 'scan-id',
+    createdAt: '2026-10-01T12:00:00.000Z',
+    clientEmail: data.clientEmail,
+    clientName: data.clientName,
+    payload: data,
+    analysis
+  };
+  const service = priceService(BOOKING_SKU);
+  const quote = {
+    locale: data.locale || null,
+    currency: 'USD',
+    items: [{ sku: BOOKING_SKU, name: service.name, quantity: 1, unitPrice: service.price.max, amount: service.price.max, priceRange: service.price, estimate: true }],
+    subtotal: service.price.max,
+    tax: 0,
+    taxRate: 0,
+    total: service.price.max,
+    estimate: true,
+    expiresAt: '2026-10-31T12:00:00.000Z'
+  };
+  const booking = {
+    id: 'booking-id',
+    createdAt: scan.createdAt,
+    clientEmail: data.clientEmail,
+    clientName: data.clientName,
+    sku: BOOKING_SKU,
+    serviceName: service.name,
+    technicianName: 'Jeremy',
+    technicianEmail: 'Jeremy@drwinmac.tech',
+    start: '2026-10-20T13:00:00.000Z',
+    end: '2026-10-20T14:00:00.000Z',
+    timeZone: 'America/New_York',
+    notes: null
+  };
+  const unsubscribeUrl = `${BASE_URL}/unsubscribe/TOKEN`;
+  const withInvite = ({ invite, ...email }) => ({ ...email, ics: buildBookingIcs(booking, invite) });
+
+  return {
+    client: generateClientEmail(data, analysis, { reportUrl: REPORT_URL, bookingUrl: `${REPORT_URL}/book`, unsubscribeUrl }),
+    internal: generateInternalEmail(data, analysis),
+    'report page': { html: generateReportPage(data, analysis, { createdAt: scan.createdAt, expiresAt: quote.expiresAt, pdfUrl: `${REPORT_URL}/report.pdf`, bookingUrl: `${REPORT_URL}/book` }) },
+    'client PDF': { pdf: readPdf(await renderReportPdf(buildReportModel(scan), { audience: 'client' })) },
+    'internal PDF': { pdf: readPdf(await renderReportPdf(buildReportModel(scan, { audience: 'internal' }), { audience: 'internal' })) },
+    quote: generateQuoteEmail(scan, quote, { unsubscribeUrl }),
+    'follow-up': generateFollowUpEmail(scan, { message: 'criticalCheckIn', reportUrl: REPORT_URL, stopUrl: `${BASE_URL}/follow-ups/stop/TOKEN`, unsubscribeUrl, now: new Date('2026-10-04T12:00:00.000Z') }),
+    booking: withInvite(generateBookingEmail(booking, scan, { unsubscribeUrl })),
+    'technician booking': withInvite(generateBookingEmail(booking, scan, { forTechnician: true })),
+    'booking page': {
+      html: generateBookingPage(scan, {
+        sku: BOOKING_SKU,
+        state: 'pick',
+        slots: [{ start: booking.start, end: booking.end }],
+        timeZone: booking.timeZone,
+        horizonDays: 14,
+        reportUrl: REPORT_URL
+      })
+    },
+    unsubscribe: { html: generateUnsubscribePage(data.locale, { state: 'confirm', email: data.clientEmail }) },
+    'stop reminders': { html: generateFollowUpsStoppedPage(data.locale, { state: 'confirm' }) }
+  };
+}
+
+// Same payload with the fixture's strings reduced to harmless characters - dots stay so
+// version strings like osVersion still parse to the same version
+function twinOf(fields) {
+  const twin = { ...BASE };
+  for (const [field, value] of Object.entries(fields)) {
+    if (field === 'clientEmail') continue;
+    twin[field] = typeof value === 'string' ? value.replace(/[^A-Za-z0-9 ,.]/g, '') : value;
+  }
+  return twin;
+}
+
+// <tag attr attr> for every tag in order - text and attribute values don't matter
+function skeleton(html) {
+  return [...html.matchAll(/<\/?([a-zA-Z][a-zA-Z0-9]*)([^>]*)>/g)].map(([tag, name, attributes]) => {
+    const names = [...attributes.matchAll(/([a-zA-Z-]+)\s*=/g)].map(match => match[1].toLowerCase());
+    return `${tag.startsWith('</') ? '/' : ''}${name.toLowerCase()} ${names.join(' ')}`.trim();
+  });
+}
+
+// Property names of an .ics file, one per unfolded line
+function icsProperties(ics) {
+  return ics.replace(/\r\n /g, '').split('\r\n').filter(Boolean).map(line => line.split(/[;:]/)[0]);
+}
+
+function firstDifference(a, b) {
+  const index = a.findIndex((item, i) => item !== b[i]);
+  return index === -1 ? `length ${a.length} vs ${b.length}` : `#${index}: <${a[index]}> vs <${b[index]}>`;
+}
+
+// ========== CHECKS ==========
+
+function checkDocument(label, rendered, twin, fields) {
+  const problems = [];
+
+  if (rendered.html) {
+    const actualTags = skeleton(rendered.html);
+    const expectedTags = skeleton(twin.html);
+    if (actualTags.join('\n') !== expectedTags.join('\n')) {
+      problems.push(`${label} HTML structure changed (${firstDifference(actualTags, expectedTags)})`);
+    }
+
+    for (const [, href] of rendered.html.matchAll(/(?:href|action|src)="([^"]*)"/g)) {
+      if (!ALLOWED_LINK.test(href)) problems.push(`${label} HTML has an unexpected link: ${href}`);
+    }
+  }
+
+  if (rendered.text) {
+    const lines = rendered.text.split('\n').length;
+    const expectedLines = twin.text.split('\n').length;
+    if (lines !== expectedLines) {
+      problems.push(`${label} text part has ${lines} lines, expected ${expectedLines}`);
+    }
+  }
+
+  if (rendered.subject && /[\r\n]/.test(rendered.subject)) {
+    problems.push(`${label} subject has a line break`);
+  }
+
+  if (rendered.ics) {
+    const actual = icsProperties(rendered.ics);
+    const expected = icsProperties(twin.ics);
+    if (actual.join('\n') !== expected.join('\n')) {
+      problems.push(`${label} calendar invite properties changed (${firstDifference(actual, expected)})`);
+    }
+  }
+
+  for (const link of rendered.pdf?.links || []) {
+    if (!ALLOWED_LINK.test(link)) problems.push(`${label} has an unexpected link: ${link}`);
+  }
+
+  const parts = [
+    ['HTML', rendered.html],
+    ['text', rendered.text],
+    ['subject', rendered.subject],
+    ['invite', rendered.ics?.replace(/\r\n /g, '').replace(/\r\n/g, '\n')],
+    ['PDF', rendered.pdf?.text]
+  ].filter(([, body]) => body);
+  for (const [part, body] of parts) {
+    if (ATTACKER_HOST.test(body)) problems.push(`${label} ${part} contains a live attacker.example address`);
+    if (HIDDEN_CHARACTER.test(body.replace(/\r?\n/g, ''))) problems.push(`${label} ${part} contains invisible or control characters`);
+
+    for (const [field, value] of Object.entries(fields)) {
+      if (typeof value === 'string' && value.length > MAX_FIELD_LENGTH && body.includes(value.substring(0, MAX_FIELD_LENGTH + 1))) {
+        problems.push(`${label} ${part} contains ${field} past ${MAX_FIELD_LENGTH} characters`);
+      }
+    }
+  }
+
+  return problems;
+}
+
+async function checkFixture(file) {
+  const { description, fields } = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const rendered = await render({ ...BASE, ...fields });
+  if (rendered.errors) {
+    return { description, problems: [`payload was rejected: ${rendered.errors.map(e => e.message).join('; ')}`] };
+  }
+
+  const twin = await render(twinOf(fields));
+  if (twin.errors) {
+    return { description, problems: [`twin payload was rejected: ${twin.errors.map(e => e.message).join('; ')}`] };
+  }
+
+  return {
+    description,
+    problems: Object.keys(rendered).flatMap(label => checkDocument(label, rendered[label], twin[label], fields))
+  };
+}
+
+// ========== MAIN ==========
+
+const files = process.argv.slice(2).length > 0
+  ? process.argv.slice(2)
+  : fs.readdirSync(FIXTURE_DIR).filter(file => /^\d+.*\.json$/.test(file)).sort().map(file => path.join(FIXTURE_DIR, file));
+
+let failed = 0;
+for (const file of files) {
+  const { description, problems } = await checkFixture(file);
+  console.log(`${problems.length === 0 ? '✅' : '❌'} ${path.basename(file)} - ${description}`);
+  problems.forEach(problem => console.log(`   ${problem}`));
+  if (problems.length > 0) failed++;
+}
+
+console.log(`\n${files.length - failed}/${files.length} payloads left every email, page and PDF intact`);
+process.exit(failed > 0 ? 1 : 0);
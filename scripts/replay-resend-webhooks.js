@@ -0,0 +1,38 @@
+// replay-resend-webhooks.js - Replay the sample Resend webhooks against a running server
+// Usage: node scripts/replay-resend-webhooks.js <emailId> [baseUrl] [fixture files...]
+//
+// emailId is the provider ID of a delivery (see GET /scans/:id/deliveries) and replaces
+// {{emailId}} in each fixture. Each payload is signed with RESEND_WEBHOOK_SECRET exactly the
+// way Resend signs it, so the server's signature check runs for real.
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+import { signResendPayload } from '../resend-webhooks.js';
+
+dotenv.config();
+
+const FIXTURE_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'fixtures', 'resend-webhooks');
+
+const [emailId, baseUrl = `http://localhost:${process.env.PORT || 3000}`, ...files] = process.argv.slice(2);
+const secret = process.env.RESEND_WEBHOOK_SECRET;
+
+if (!emailId || !secret) {
+  console.error('Usage: RESEND_WEBHOOK_SECRET=whsec_... node scripts/replay-resend-webhooks.js <emailId> [baseUrl] [fixture files...]');
+  process.exit(1);
+}
+
+const fixtures = files.length > 0
+  ? files
+  : fs.readdirSync(FIXTURE_DIR).filter(file => file.endsWith('.json')).sort().map(file => path.join(FIXTURE_DIR, file));
+
+for (const file of fixtures) {
+  const body = fs.readFileSync(file, 'utf8').replaceAll('{{emailId}}', emailId);
+  const response = await fetch(`${baseUrl}/webhooks/resend`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...signResendPayload(body, secret) },
+    body
+  });
+  console.log(`${response.status} ${path.basename(file)} → ${await response.text()}`);
+}
@@ -0,0 +1,119 @@
+// services.js - Service price catalog: what each SKU costs, per model where it varies
+// Rules name a SKU instead of carrying their own "upsell" text and "value", so a price lives in
+// one place (catalog/services.json) and the lead email, the opportunity total and the quote all
+// agree. A price is a number or a { min, max } range; byModel overrides it for particular Macs
+// or for PCs, e.g. a MacBook Air battery costs less than a 16-inch MacBook Pro's.
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { macModelFamily } from './mac-models.js';
+
+export const SERVICE_CATALOG_FILE = path.join(path.dirname(fileURLToPath(import.meta.url)), 'catalog', 'services.json');
+
+const SKU = /^[A-Z0-9]+(-[A-Z0-9]+)*$/;
+
+// ========== LOADING & VALIDATION ==========
+
+function isAmount(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value >= 0;
+}
+
+function validPrice(price) {
+  if (isAmount(price)) return true;
+  return Boolean(price) && isAmount(price.min) && isAmount(price.max) && price.min <= price.max;
+}
+
+// Throws on a bad catalog so a typo stops the server at startup instead of misquoting a client
+export function loadServiceCatalog(file = SERVICE_CATALOG_FILE) {
+  let catalog;
+  try {
+    catalog = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not load service catalog ${file}: ${error.message}`);
+  }
+
+  if (!/^[A-Z]{3}$/.test(catalog.currency || '')) throw new Error(`Service catalog ${file}: "currency" must be an ISO code like "USD"`);
+  if (!(isAmount(catalog.taxRate) && catalog.taxRate < 1)) throw new Error(`Service catalog ${file}: "taxRate" must be a fraction like 0.07`);
+  if (!(Number.isInteger(catalog.quoteValidDays) && catalog.quoteValidDays > 0)) throw new Error(`Service catalog ${file}: "quoteValidDays" must be a whole number of days`);
+  if (!catalog.services || typeof catalog.services !== 'object') throw new Error(`Service catalog ${file} has no "services" object`);
+
+  for (const [sku, service] of Object.entries(catalog.services)) {
+    const where = `Service catalog ${file}: ${sku}`;
+    if (!SKU.test(sku)) throw new Error(`Service catalog ${file}: "${sku}" is not a SKU - use capitals, digits and dashes`);
+    if (typeof service.name !== 'string' || !service.name) throw new Error(`${where} has no "name"`);
+    if (!validPrice(service.price)) throw new Error(`${where}: "price" must be an amount or { "min", "max" }`);
+    if (typeof service.taxable !== 'boolean') throw new Error(`${where}: "taxable" must be true or false`);
+    if (!(Number.isInteger(service.durationMinutes) && service.durationMinutes > 0)) throw new Error(`${where}: "durationMinutes" must be a whole number of minutes`);
+    for (const [model, price] of Object.entries(service.byModel || {})) {
+      if (!validPrice(price)) throw new Error(`${where}: byModel "${model}" must be an amount or { "min", "max" }`);
+    }
+  }
+
+  return { ...catalog, source: file };
+}
+
+const catalog = loadServiceCatalog(process.env.SERVICE_CATALOG_FILE || SERVICE_CATALOG_FILE);
+
+export const SERVICE_CURRENCY = catalog.currency;
+export const SERVICE_TAX_RATE = catalog.taxRate;
+export const QUOTE_VALID_DAYS = catalog.quoteValidDays;
+export const SERVICE_COUNT = Object.keys(catalog.services).length;
+export const SERVICE_CATALOG_SOURCE = catalog.source;
+
+export function hasService(sku) {
+  return Object.hasOwn(catalog.services, sku);
+}
+
+// How long a booking for the SKU blocks the technician's calendar
+export function serviceDuration(sku) {
+  return catalog.services[sku].durationMinutes;
+}
+
+// Every rule that names a SKU has to find it here - checked at startup, next to loadRuleset
+export function assertRulesetServices(ruleset) {
+  for (const rule of ruleset.rules) {
+    if (rule.sku && !hasService(rule.sku)) {
+      throw new Error(`Ruleset ${ruleset.source}: rule ${rule.id} uses SKU "${rule.sku}", which isn't in the service catalog ${catalog.source}`);
+    }
+  }
+}
+
+// ========== PRICING ==========
+
+// byModel keys to try, most specific first: identifier, catalog name, family, or "PC"
+function modelKeys(facts) {
+  if (facts.platform === 'windows') return ['PC'];
+  return [facts.macModel, facts.modelName, facts.macModel ? macModelFamily(facts.macModel) : null].filter(Boolean);
+}
+
+function formatAmount(amount) {
+  return amount.toLocaleString('en-US', { maximumFractionDigits: 2 });
+}
+
+// "$249", "$150-300" - the English label the rules' upsell line and the lead email show
+export function formatPrice({ min, max }) {
+  const symbol = catalog.currency === 'USD' ? '$' : `${catalog.currency} `;
+  return min === max ? `${symbol}${formatAmount(min)}` : `${symbol}${formatAmount(min)}-${formatAmount(max)}`;
+}
+
+// { sku, name, taxable, price: { min, max }, modelPrice, label, value } for this scan's machine.
+// value is what the SKU adds to the opportunity total - the midpoint of a range.
+export function priceService(sku, facts = {}) {
+  const service = catalog.services[sku];
+  if (!service) throw new Error(`Unknown service SKU "${sku}"`);
+
+  const key = modelKeys(facts).find(k => service.byModel && Object.hasOwn(service.byModel, k));
+  const raw = key ? service.byModel[key] : service.price;
+  const price = typeof raw === 'number' ? { min: raw, max: raw } : { min: raw.min, max: raw.max };
+
+  return {
+    sku,
+    name: service.name,
+    taxable: service.taxable,
+    price,
+    modelPrice: key || null,
+    label: price.max > 0 ? `${service.name} (${formatPrice(price)})` : service.name,
+    value: (price.min + price.max) / 2
+  };
+}
@@ -0,0 +1,209 @@
+// store.js - File-backed persistence for scans and everything hanging off them
+// One JSON document on disk, loaded once at startup and rewritten on every change.
+// Good enough for a solo shop's volume - swap for SQLite if that ever changes.
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+const STORAGE_DIR = process.env.STORAGE_DIR || path.join(process.cwd(), 'storage');
+const DB_FILE = path.join(STORAGE_DIR, 'db.json');
+
+let db = null;
+
+function load() {
+  if (db) return db;
+
+  try {
+    db = JSON.parse(fs.readFileSync(DB_FILE, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw new Error(`Could not read ${DB_FILE}: ${error.message}`);
+    }
+    db = {};
+  }
+
+  return db;
+}
+
+function persist() {
+  fs.mkdirSync(STORAGE_DIR, { recursive: true });
+
+  // Write to a temp file and rename so a crash mid-write never leaves half a database
+  const tmpFile = `${DB_FILE}.${process.pid}.tmp`;
+  fs.writeFileSync(tmpFile, JSON.stringify(db, null, 2));
+  fs.renameSync(tmpFile, DB_FILE);
+}
+
+function collection(name) {
+  const data = load();
+  if (!data[name]) data[name] = [];
+  return data[name];
+}
+
+// ========== GENERIC RECORD ACCESS ==========
+
+export function insert(name, record) {
+  const stored = {
+    id: crypto.randomUUID(),
+    createdAt: new Date().toISOString(),
+    ...record
+  };
+  collection(name).push(stored);
+  persist();
+  return stored;
+}
+
+export function update(name, id, changes) {
+  const record = collection(name).find(r => r.id === id);
+  if (!record) return null;
+
+  Object.assign(record, changes, { updatedAt: new Date().toISOString() });
+  persist();
+  return record;
+}
+
+// Returns the removed record, or null if there was none
+export function remove(name, id) {
+  const records = collection(name);
+  const index = records.findIndex(r => r.id === id);
+  if (index === -1) return null;
+
+  const [removed] = records.splice(index, 1);
+  persist();
+  return removed;
+}
+
+// Removes every matching record in one write - returns what was removed
+export function removeWhere(name, predicate) {
+  const records = collection(name);
+  const removed = records.filter(predicate);
+  if (removed.length === 0) return [];
+
+  const gone = new Set(removed);
+  load()[name] = records.filter(record => !gone.has(record));
+  persist();
+  return removed;
+}
+
+export function findById(name, id) {
+  return collection(name).find(r => r.id === id) || null;
+}
+
+export function find(name, predicate = () => true) {
+  return collection(name).filter(predicate);
+}
+
+// ========== SCANS ==========
+
+export function normalizeEmail(email) {
+  return String(email || '').trim().toLowerCase();
+}
+
+// payload is the normalized scan analysis ran on; rawPayload is exactly what the scanner posted.
+// consent is what the client agreed to at scan time: { marketing: true | false | null, recordedAt, ip }
+export function saveScan({ clientEmail, clientName, deviceId, payload, rawPayload, protocol, scannerKeyId, warnings, analysis, grade, consent }) {
+  return insert('scans', {
+    clientEmail: normalizeEmail(clientEmail),
+    clientName: clientName || null,
+    deviceId: deviceId || null,
+    payload,
+    rawPayload: rawPayload || payload,
+    protocol: protocol || null,
+    scannerKeyId: scannerKeyId || null,
+    warnings: warnings || [],
+    analysis,
+    grade,
+    consent: consent || null,
+    emails: { clientEmailId: null, internalEmailId: null }
+  });
+}
+
+export function getScan(id) {
+  return findById('scans', id);
+}
+
+// Newest first - that's what the team wants when a client calls back
+export function listScans({ limit = 50, offset = 0, priority } = {}) {
+  const matches = find('scans', scan => !priority || scan.analysis.priorityLevel === priority)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+  return {
+    total: matches.length,
+    scans: matches.slice(offset, offset + limit)
+  };
+}
+
+export function listScansByClient(email) {
+  const target = normalizeEmail(email);
+  return find('scans', scan => scan.clientEmail === target)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+// Oldest first - trend math walks forward in time. With clientEmail, only the scans since the
+// device last changed hands, so a resold Mac's new owner never sees the previous owner's history.
+export function listScansByDevice(deviceId, { clientEmail } = {}) {
+  if (!deviceId) return [];
+  const scans = find('scans', scan => scan.deviceId === deviceId)
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  if (!clientEmail) return scans;
+
+  const owner = normalizeEmail(clientEmail);
+  return scans.slice(scans.findLastIndex(scan => scan.clientEmail !== owner) + 1);
+}
+
+// ========== ABUSE LOG ==========
+
+// Kept in memory as a ring buffer, not in db.json: failed requests are exactly what an attacker
+// controls, so they must neither rewrite the database nor grow it. Lost on restart.
+const ABUSE_LOG_MAX = parseInt(process.env.ABUSE_LOG_MAX) || 1000;
+let abuseLog = null;
+
+// Entries persisted by older versions move into memory once and leave db.json
+function abuseEntries() {
+  if (abuseLog) return abuseLog;
+
+  const data = load();
+  abuseLog = (data.abuseLog || []).slice(-ABUSE_LOG_MAX);
+  if (data.abuseLog) {
+    delete data.abuseLog;
+    persist();
+  }
+  return abuseLog;
+}
+
+// reason: 'rate_limit' | 'auth_failed' - details carry the scope/message that triggered it
+export function recordAbuse({ ip, reason, recipient, scannerKeyId, details }) {
+  const entries = abuseEntries();
+  const entry = {
+    id: crypto.randomUUID(),
+    createdAt: new Date().toISOString(),
+    ip: ip || null,
+    reason,
+    recipient: recipient ? normalizeEmail(recipient) : null,
+    scannerKeyId: scannerKeyId || null,
+    details: details || null
+  };
+  entries.push(entry);
+  if (entries.length > ABUSE_LOG_MAX) entries.splice(0, entries.length - ABUSE_LOG_MAX);
+  return entry;
+}
+
+// Newest first. recipient narrows it to one client's address.
+export function listAbuse({ limit = 100, recipient } = {}) {
+  const target = recipient && normalizeEmail(recipient);
+  return abuseEntries()
+    .filter(entry => !target || entry.recipient === target)
+    .reverse()
+    .slice(0, limit);
+}
+
+// Drops a client's entries - returns how many went
+export function forgetAbuse(recipient) {
+  const target = normalizeEmail(recipient);
+  const entries = abuseEntries();
+  const kept = entries.filter(entry => entry.recipient !== target);
+  const removed = entries.length - kept.length;
+  entries.splice(0, entries.length, ...kept);
+  return removed;
+}
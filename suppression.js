@@ -0,0 +1,144 @@
+// suppression.js - Unsubscribe links and the suppression list every outgoing email is checked against
+// Unsubscribe links carry the address and an HMAC of it, so a link works for exactly one address
+// and nobody can unsubscribe someone else by editing the URL. The secret is UNSUBSCRIBE_SECRET,
+// or one generated on first use and kept in the store so links survive a restart.
+//
+// The email queue refuses to send to a suppressed address. A complaint, a hard bounce or a hand-added
+// entry stops every email; an unsubscribe only stops marketing mail (follow-ups), so a client who
+// opted out still gets the report, quote or booking they asked for. Entries are keyed by a hash of
+// the address, so when a client who unsubscribed asks to be erased the entry can drop the address
+// and still keep us from emailing them.
+
+import crypto from 'crypto';
+import { insert, update, find, removeWhere, normalizeEmail } from './store.js';
+
+export const SUPPRESSION_REASONS = ['unsubscribed', 'complained', 'bounced', 'manual'];
+export const MARKETING_KINDS = ['follow-up'];
+
+// Reasons that only stop marketing mail - every other reason stops everything
+const MARKETING_ONLY_REASONS = ['unsubscribed'];
+
+function blocksEverything(reason) {
+  return !MARKETING_ONLY_REASONS.includes(reason);
+}
+
+let generatedSecret = null;
+
+// ========== UNSUBSCRIBE LINKS ==========
+
+function unsubscribeSecret() {
+  if (process.env.UNSUBSCRIBE_SECRET) return process.env.UNSUBSCRIBE_SECRET;
+  if (!generatedSecret) {
+    const stored = find('settings', setting => setting.name === 'unsubscribeSecret')[0];
+    generatedSecret = stored
+      ? stored.value
+      : insert('settings', { name: 'unsubscribeSecret', value: crypto.randomBytes(32).toString('base64url') }).value;
+  }
+  return generatedSecret;
+}
+
+function sign(address) {
+  return crypto.createHmac('sha256', unsubscribeSecret()).update(address).digest('base64url');
+}
+
+export function unsubscribeToken(email) {
+  const address = normalizeEmail(email);
+  return `${Buffer.from(address).toString('base64url')}.${sign(address)}`;
+}
+
+// The address a token was issued for, or null when it's malformed or the signature is wrong
+export function verifyUnsubscribeToken(token) {
+  if (typeof token !== 'string' || token.length > 500) return null;
+  const [encoded, signature] = token.split('.');
+  if (!encoded || !signature) return null;
+
+  const address = Buffer.from(encoded, 'base64url').toString('utf8');
+  const expected = Buffer.from(sign(address));
+  const given = Buffer.from(signature);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected) ? address : null;
+}
+
+export function unsubscribeUrl(email, baseUrl) {
+  return `${baseUrl}/unsubscribe/${unsubscribeToken(email)}`;
+}
+
+// RFC 8058 one-click unsubscribe - mail clients POST "List-Unsubscribe=One-Click" to the URL
+export function unsubscribeHeaders(email, baseUrl) {
+  return {
+    'List-Unsubscribe': `<${unsubscribeUrl(email, baseUrl)}>`,
+    'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+  };
+}
+
+// ========== SUPPRESSION LIST ==========
+
+function hashEmail(email) {
+  return crypto.createHash('sha256').update(normalizeEmail(email)).digest('hex');
+}
+
+function findSuppression(email) {
+  const emailHash = hashEmail(email);
+  return find('suppressions', entry => entry.emailHash === emailHash)[0] || null;
+}
+
+// The hash is only for lookups - it stays out of API responses
+function publicSuppression(entry) {
+  const { emailHash, ...rest } = entry;
+  return rest;
+}
+
+// Any entry at all - the address has opted out of marketing mail at least
+export function isSuppressed(email) {
+  return findSuppression(email) !== null;
+}
+
+// Whether an email of this kind (a deliveries kind) may go to the address
+export function isSuppressedFor(email, kind) {
+  const entry = findSuppression(email);
+  if (!entry) return false;
+  return blocksEverything(entry.reason) || MARKETING_KINDS.includes(kind);
+}
+
+export function getSuppression(email) {
+  const entry = findSuppression(email);
+  return entry ? publicSuppression(entry) : null;
+}
+
+// Adds the address once - the first reason sticks, unless it only stopped marketing mail and the
+// new one stops everything (an unsubscribed client whose mailbox then bounces). source says where
+// it came from: link | one-click | webhook | admin
+export function suppress(email, { reason, source = null }) {
+  const existing = findSuppression(email);
+  if (existing && (blocksEverything(existing.reason) || !blocksEverything(reason))) return publicSuppression(existing);
+  if (existing) return publicSuppression(update('suppressions', existing.id, { reason, source }));
+
+  return publicSuppression(insert('suppressions', {
+    email: normalizeEmail(email),
+    emailHash: hashEmail(email),
+    reason,
+    source
+  }));
+}
+
+// Erasure - the entry stays so the opt-out holds, but without the address
+export function forgetSuppressedAddress(email) {
+  const entry = findSuppression(email);
+  return entry ? publicSuppression(update('suppressions', entry.id, { email: null })) : null;
+}
+
+// Whether suppress(email, { reason }) would change anything
+export function canSuppress(email, reason) {
+  const existing = findSuppression(email);
+  return !existing || (!blocksEverything(existing.reason) && blocksEverything(reason));
+}
+
+// Returns how many entries were removed (0 or 1)
+export function unsuppress(email) {
+  const emailHash = hashEmail(email);
+  return removeWhere('suppressions', entry => entry.emailHash === emailHash).length;
+}
+
+export function listSuppressions({ limit = 100, offset = 0 } = {}) {
+  const entries = find('suppressions').sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  return { total: entries.length, suppressions: entries.slice(offset, offset + limit).map(publicSuppression) };
+}
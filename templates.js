@@ -0,0 +1,134 @@
+// templates.js - Handlebars rendering for emails and the hosted report
+// Templates live in templates/ as <name>.html.hbs and <name>.txt.hbs, with shared pieces in
+// templates/partials/. Any file with the same relative path in TEMPLATE_DIR wins over the
+// built-in one, so copy just the file you want to restyle.
+//
+// HTML templates auto-escape every {{value}}; the plain-text parts are compiled without escaping
+// so "Tom & Jerry's" doesn't arrive as "Tom &amp; Jerry&#x27;s". Escaping only covers element
+// text and quoted attributes - values going into href or style go through safeUrl, mailto and
+// cssColor as well. Never use {{{triple-stash}}} on anything that came from a scan.
+//
+// Client copy comes from the message catalogs via {{t "summary.title"}} in the view's locale;
+// hash arguments become the message's params: {{t "dayToDay.moreApps" count=3}}.
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import Handlebars from 'handlebars';
+import { createTranslator } from './i18n.js';
+
+export const BUILTIN_TEMPLATE_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'templates');
+
+const FORMATS = { html: { noEscape: false }, txt: { noEscape: true } };
+
+// ========== HELPERS ==========
+
+const helpers = {
+  eq: (a, b) => a === b,
+  gt: (a, b) => a > b,
+  and: (...args) => args.slice(0, -1).every(Boolean),
+  or: (...args) => args.slice(0, -1).some(Boolean),
+  not: value => !value,
+
+  // {{plural count "issue" "issues"}} → "3 issues"
+  plural: (count, singular, plural) => `${count} ${count === 1 ? singular : plural}`,
+
+  capitalize: value => (value ? String(value).charAt(0).toUpperCase() + String(value).slice(1) : ''),
+  truncate: (value, length) => String(value ?? '').substring(0, length),
+  upper: value => String(value ?? '').toUpperCase(),
+  // Formatted for the view's locale - views without one (the team emails) keep the server default
+  date: (value, options) => (value ? new Date(value).toLocaleDateString(options.data.root.locale) : ''),
+  dateTime: (value, options) => (value ? new Date(value).toLocaleString(options.data.root.locale) : ''),
+
+  // {{t "next.criticalIssues" count=2}} - the root view's locale, English for keys it lacks
+  t: (key, options) => createTranslator(options.data.root.locale)(key, options.hash),
+
+  // href="{{safeUrl link}}" - relative paths and http(s) only, anything else becomes a dead link
+  safeUrl: value => {
+    const url = String(value ?? '');
+    return !/^[a-z][a-z0-9+.-]*:/i.test(url) || /^https?:\/\//i.test(url) ? url : '#';
+  },
+
+  // href="{{mailto address}}" - encoded so "?cc=" or "&body=" can't ride along in the address
+  mailto: value => `mailto:${encodeURIComponent(String(value ?? '')).replace(/%40/g, '@')}`,
+
+  // style="color: {{cssColor value}}" - hex colours only, so a value can't close the declaration
+  cssColor: value => (/^#[0-9a-f]{3,8}$/i.test(String(value ?? '')) ? String(value) : 'inherit')
+};
+
+// ========== LOADING ==========
+
+// Relative paths of every .hbs file under dir, e.g. 'partials/issue-tier.html.hbs'
+function listTemplates(dir) {
+  if (!dir || !fs.existsSync(dir)) return [];
+
+  return fs.readdirSync(dir, { recursive: true })
+    .map(file => String(file).split(path.sep).join('/'))
+    .filter(file => file.endsWith('.hbs'));
+}
+
+function readTemplate(file, dirs) {
+  for (const dir of dirs) {
+    const full = path.join(dir, file);
+    if (fs.existsSync(full)) return { source: fs.readFileSync(full, 'utf8'), from: full };
+  }
+  return null;
+}
+
+// ========== RENDERER ==========
+
+export function createTemplateRenderer({ dir = process.env.TEMPLATE_DIR, builtinDir = BUILTIN_TEMPLATE_DIR } = {}) {
+  // Override directory first
+  const dirs = [dir, builtinDir].filter(Boolean);
+  const files = [...new Set(dirs.flatMap(listTemplates))];
+  const overridden = dir ? listTemplates(dir) : [];
+
+  // One Handlebars instance per format so html and txt partials with the same name don't collide
+  const envs = {};
+  const compiled = {};
+
+  for (const [format, options] of Object.entries(FORMATS)) {
+    const env = Handlebars.create();
+    Object.entries(helpers).forEach(([name, fn]) => env.registerHelper(name, fn));
+    envs[format] = env;
+
+    for (const file of files) {
+      const match = file.match(new RegExp(`^(partials/)?([\\w-]+)\\.${format}\\.hbs$`));
+      if (!match) continue;
+
+      const { source, from } = readTemplate(file, dirs);
+      try {
+        // compile() is lazy - parse now so a broken override fails at startup, not mid-send
+        env.parse(source);
+        const template = env.compile(source, options);
+        if (match[1]) {
+          env.registerPartial(match[2], template);
+        } else {
+          compiled[`${match[2]}.${format}`] = template;
+        }
+      } catch (error) {
+        throw new Error(`Template ${from} failed to compile: ${error.message}`);
+      }
+    }
+  }
+
+  function renderFormat(name, format, view) {
+    const template = compiled[`${name}.${format}`];
+    return template ? template(view).trim() : null;
+  }
+
+  return {
+    overridden,
+
+    has(name, format = 'html') {
+      return Boolean(compiled[`${name}.${format}`]);
+    },
+
+    // { html, text } - text is null when the template has no .txt.hbs part
+    render(name, view) {
+      const html = renderFormat(name, 'html', view);
+      if (html === null) throw new Error(`No template named "${name}"`);
+      return { html, text: renderFormat(name, 'txt', view) };
+    }
+  };
+}
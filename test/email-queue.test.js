@@ -0,0 +1,167 @@
+// email-queue.test.js - Retries, backoff, dead-lettering and the suppression skip
+// The store lives in a temp STORAGE_DIR and the transport is a stub that fails on demand. Retries
+// are made due by moving nextAttemptAt into the past rather than waiting.
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const STORAGE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'email-queue-test-'));
+process.env.STORAGE_DIR = STORAGE_DIR;
+process.env.EMAIL_MAX_ATTEMPTS = '3';
+
+let createEmailQueue, retryDelaySeconds, update, findById;
+
+before(async () => {
+  ({ createEmailQueue, retryDelaySeconds } = await import('../email-queue.js'));
+  ({ update, findById } = await import('../store.js'));
+});
+
+after(() => fs.rmSync(STORAGE_DIR, { recursive: true, force: true }));
+
+const MESSAGE = { from: 'scanner@drwinmac.tech', to: 'client@example.com', subject: 'Report', html: '<p>Hi</p>' };
+
+// Fails the first `failures` sends, then succeeds - records what it was asked to send
+function stubTransport(failures = Infinity) {
+  const calls = [];
+  return {
+    name: 'stub',
+    calls,
+    async send(message, options) {
+      calls.push({ message, options });
+      if (calls.length <= failures) throw new Error(`send ${calls.length} failed`);
+      return { id: `provider-${calls.length}` };
+    }
+  };
+}
+
+// Lets enqueue's own kick finish, then drains whatever is due
+async function settle(queue) {
+  await new Promise(resolve => setImmediate(resolve));
+  await new Promise(resolve => setImmediate(resolve));
+  await queue.drain();
+}
+
+async function retryNow(queue, id) {
+  update('deliveries', id, { nextAttemptAt: new Date(Date.now() - 1000).toISOString() });
+  await queue.drain();
+}
+
+// ========== BACKOFF ==========
+
+test('retry delay starts at 30s, doubles and caps at an hour', () => {
+  assert.deepEqual([1, 2, 3, 4, 5, 6, 7].map(retryDelaySeconds), [30, 60, 120, 240, 480, 960, 1920]);
+  assert.equal(retryDelaySeconds(8), 3600);
+  assert.equal(retryDelaySeconds(20), 3600);
+});
+
+// ========== FAILURES ==========
+
+test('a failed send is scheduled for a retry after the backoff delay', async () => {
+  const transport = stubTransport();
+  const queue = createEmailQueue({ transport });
+  const { id } = queue.enqueue({ kind: 'client', message: MESSAGE });
+  const enqueuedAt = Date.now();
+  await settle(queue);
+
+  const delivery = findById('deliveries', id);
+  assert.equal(delivery.status, 'retrying');
+  assert.equal(delivery.attempts, 1);
+  assert.equal(delivery.lastError, 'send 1 failed');
+  assert.deepEqual(delivery.attemptLog.map(entry => entry.outcome), ['failed']);
+
+  const delayMs = Date.parse(delivery.nextAttemptAt) - enqueuedAt;
+  assert.ok(delayMs >= 29 * 1000 && delayMs <= 31 * 1000, `next attempt in ${delayMs}ms`);
+
+  // Not due yet - draining again sends nothing
+  await queue.drain();
+  assert.equal(transport.calls.length, 1);
+
+  await retryNow(queue, id);
+  const second = findById('deliveries', id);
+  assert.equal(second.attempts, 2);
+  const secondDelayMs = Date.parse(second.nextAttemptAt) - Date.parse(second.attemptLog[1].at);
+  assert.ok(secondDelayMs >= 59 * 1000 && secondDelayMs <= 61 * 1000, `next attempt in ${secondDelayMs}ms`);
+});
+
+test('a delivery is dead-lettered after maxAttempts and a manual retry starts a new round', async () => {
+  const transport = stubTransport();
+  const queue = createEmailQueue({ transport });
+  const { id } = queue.enqueue({ kind: 'client', message: MESSAGE });
+  await settle(queue);
+  await retryNow(queue, id);
+  await retryNow(queue, id);
+
+  const dead = findById('deliveries', id);
+  assert.equal(dead.status, 'dead');
+  assert.equal(dead.attempts, 3);
+  assert.equal(dead.nextAttemptAt, null);
+  assert.ok(queue.listDead().some(delivery => delivery.id === id));
+
+  // Nothing more happens on its own
+  await retryNow(queue, id);
+  assert.equal(transport.calls.length, 3);
+
+  // Automatic retries share one idempotency key; the manual retry gets a new one
+  assert.equal(new Set(transport.calls.map(call => call.options.idempotencyKey)).size, 1);
+  queue.retry(id);
+  await settle(queue);
+  assert.equal(findById('deliveries', id).attempts, 1);
+  assert.notEqual(transport.calls[3].options.idempotencyKey, transport.calls[0].options.idempotencyKey);
+});
+
+test('a retry that goes through is sent once and the hook runs once', async () => {
+  const transport = stubTransport(1);
+  const sent = [];
+  const queue = createEmailQueue({
+    transport,
+    onSent: delivery => {
+      sent.push(delivery.id);
+      throw new Error('hook failed');
+    }
+  });
+  const { id } = queue.enqueue({ kind: 'client', message: MESSAGE });
+  await settle(queue);
+  await retryNow(queue, id);
+
+  const delivery = findById('deliveries', id);
+  assert.equal(delivery.status, 'sent');
+  assert.equal(delivery.providerId, 'provider-2');
+  assert.equal(delivery.lastError, null);
+  assert.deepEqual(delivery.attemptLog.map(entry => entry.outcome), ['failed', 'sent']);
+  assert.deepEqual(sent, [id]);
+
+  // A throwing hook doesn't put the email back in the queue
+  await retryNow(queue, id);
+  assert.equal(transport.calls.length, 2);
+});
+
+// ========== SUPPRESSION ==========
+
+test('a suppressed recipient is skipped without a send, even on a retry', async () => {
+  let suppressed = false;
+  const checked = [];
+  const transport = stubTransport();
+  const queue = createEmailQueue({
+    transport,
+    isSuppressed: (address, kind) => {
+      checked.push([address, kind]);
+      return suppressed;
+    }
+  });
+  const { id } = queue.enqueue({ kind: 'follow-up', message: MESSAGE });
+  await settle(queue);
+  assert.equal(findById('deliveries', id).status, 'retrying');
+
+  suppressed = true;
+  await retryNow(queue, id);
+
+  const delivery = findById('deliveries', id);
+  assert.equal(delivery.status, 'suppressed');
+  assert.equal(delivery.nextAttemptAt, null);
+  assert.equal(delivery.attemptLog.at(-1).outcome, 'suppressed');
+  assert.equal(transport.calls.length, 1);
+  assert.deepEqual(checked.at(-1), ['client@example.com', 'follow-up']);
+});
@@ -0,0 +1,91 @@
+// email-transport.test.js - What the outbox transport writes, and which transport the env picks
+// The outbox writes into a fresh temp directory per test; no test touches Resend or SMTP.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createOutboxTransport, createEmailTransport } from '../email-transport.js';
+
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'outbox-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+const MESSAGE = {
+  from: 'Velocity Strip-Search <scanner@drwinmac.tech>',
+  to: 'client@example.com',
+  subject: 'Your scan report',
+  html: '<p>Hello</p>',
+  text: 'Hello',
+  replyTo: 'scanner+abc@drwinmac.tech',
+  headers: { 'List-Unsubscribe': '<https://scanner.drwinmac.tech/unsubscribe/TOKEN>' },
+  attachments: [{ filename: 'report.txt', content: 'attached text', contentType: 'text/plain' }]
+};
+
+// ========== OUTBOX ==========
+
+test('writes each message as JSON plus a browsable HTML file', async (t) => {
+  const dir = tempDir(t);
+  const transport = createOutboxTransport({ dir: path.join(dir, 'nested') });
+
+  const { id } = await transport.send(MESSAGE);
+  assert.match(id, /^outbox_[0-9a-f-]{36}$/);
+
+  const files = fs.readdirSync(path.join(dir, 'nested')).sort();
+  assert.equal(files.length, 2);
+  assert.ok(files.every(file => file.includes(id)));
+
+  const html = files.find(file => file.endsWith('.html'));
+  assert.equal(fs.readFileSync(path.join(dir, 'nested', html), 'utf8'), MESSAGE.html);
+
+  const { id: writtenId, sentAt, ...written } = JSON.parse(fs.readFileSync(path.join(dir, 'nested', files.find(file => file.endsWith('.json'))), 'utf8'));
+  assert.equal(writtenId, id);
+  assert.ok(!Number.isNaN(Date.parse(sentAt)));
+  assert.deepEqual(written, MESSAGE);
+});
+
+test('skips the HTML file for a text-only message', async (t) => {
+  const dir = tempDir(t);
+  const transport = createOutboxTransport({ dir });
+  const { html, ...textOnly } = MESSAGE;
+
+  await transport.send(textOnly);
+  assert.deepEqual(fs.readdirSync(dir).map(file => path.extname(file)), ['.json']);
+});
+
+test('list() returns what was sent, oldest first', async (t) => {
+  const transport = createOutboxTransport({ dir: tempDir(t) });
+  assert.deepEqual(await transport.list(), []);
+
+  const first = await transport.send({ ...MESSAGE, subject: 'first' });
+  await new Promise(resolve => setTimeout(resolve, 5));
+  const second = await transport.send({ ...MESSAGE, subject: 'second' });
+
+  const sent = await transport.list();
+  assert.deepEqual(sent.map(message => [message.id, message.subject]), [[first.id, 'first'], [second.id, 'second']]);
+});
+
+test('list() on a directory that was never written is empty', async (t) => {
+  const transport = createOutboxTransport({ dir: path.join(tempDir(t), 'missing') });
+  assert.deepEqual(await transport.list(), []);
+});
+
+// ========== SELECTION ==========
+
+test('picks the transport from the environment', (t) => {
+  const dir = tempDir(t);
+  assert.equal(createEmailTransport({ OUTBOX_DIR: dir }).name, 'outbox');
+  assert.equal(createEmailTransport({ OUTBOX_DIR: dir }).dir, dir);
+  assert.equal(createEmailTransport({ RESEND_API_KEY: 're_test' }).name, 'resend');
+  assert.equal(createEmailTransport({ EMAIL_TRANSPORT: 'outbox', RESEND_API_KEY: 're_test', OUTBOX_DIR: dir }).name, 'outbox');
+  assert.equal(createEmailTransport({ EMAIL_TRANSPORT: 'smtp', SMTP_HOST: 'localhost' }).name, 'smtp');
+});
+
+test('refuses a transport that is unknown or missing its settings', () => {
+  assert.throws(() => createEmailTransport({ EMAIL_TRANSPORT: 'carrier-pigeon' }), /Unknown EMAIL_TRANSPORT "carrier-pigeon"/);
+  assert.throws(() => createEmailTransport({ EMAIL_TRANSPORT: 'resend' }), /RESEND_API_KEY/);
+  assert.throws(() => createEmailTransport({ EMAIL_TRANSPORT: 'smtp' }), /SMTP_HOST/);
+});
@@ -0,0 +1,111 @@
+// rate-limit.test.js - Limiter windows, bucket independence and duplicate detection
+// Runs against the in-memory store with a hand-driven clock, so nothing waits on real time.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMemoryStore, createRateLimiter, submissionFingerprint } from '../rate-limit.js';
+
+const MINUTE = 60 * 1000;
+
+function setup() {
+  let time = Date.parse('2026-10-19T12:00:00Z');
+  const clock = { advance: ms => { time += ms; } };
+  const limiter = createRateLimiter({
+    store: createMemoryStore({ now: () => time }),
+    limits: {
+      ip: { max: 3, windowMs: 60 * MINUTE },
+      recipient: { max: 2, windowMs: 60 * MINUTE },
+      global: { max: 100, windowMs: 24 * 60 * MINUTE },
+      attempt: { max: 2, windowMs: 10 * MINUTE },
+      duplicateWindowMs: 10 * MINUTE
+    }
+  });
+  return { limiter, clock };
+}
+
+// ========== WINDOWS ==========
+
+test('blocks an IP past its limit until the window resets', () => {
+  const { limiter, clock } = setup();
+  for (let i = 0; i < 3; i++) {
+    assert.deepEqual(limiter.consume({ ip: '1.2.3.4', recipient: `client${i}@example.com` }), { allowed: true });
+  }
+
+  const blocked = limiter.consume({ ip: '1.2.3.4', recipient: 'client9@example.com' });
+  assert.equal(blocked.allowed, false);
+  assert.equal(blocked.scope, 'ip');
+  assert.equal(blocked.limit, 3);
+  assert.equal(blocked.retryAfterSeconds, 60 * 60);
+
+  clock.advance(45 * MINUTE);
+  assert.equal(limiter.consume({ ip: '1.2.3.4', recipient: 'client9@example.com' }).retryAfterSeconds, 15 * 60);
+
+  clock.advance(15 * MINUTE);
+  assert.deepEqual(limiter.consume({ ip: '1.2.3.4', recipient: 'client9@example.com' }), { allowed: true });
+});
+
+test('limits a recipient across IPs, ignoring the address case', () => {
+  const { limiter } = setup();
+  assert.equal(limiter.consume({ ip: '10.0.0.1', recipient: 'Client@Example.com' }).allowed, true);
+  assert.equal(limiter.consume({ ip: '10.0.0.2', recipient: 'client@example.com' }).allowed, true);
+
+  const blocked = limiter.consume({ ip: '10.0.0.3', recipient: 'CLIENT@example.com' });
+  assert.equal(blocked.allowed, false);
+  assert.equal(blocked.scope, 'recipient');
+});
+
+test('a blocked request does not count against the other buckets', () => {
+  const { limiter } = setup();
+  limiter.consume({ ip: '10.0.0.1', recipient: 'client@example.com' });
+  limiter.consume({ ip: '10.0.0.2', recipient: 'client@example.com' });
+
+  // Blocked on the recipient - the IP's own quota stays untouched
+  for (let i = 0; i < 5; i++) limiter.consume({ ip: '10.0.0.3', recipient: 'client@example.com' });
+  for (let i = 0; i < 3; i++) {
+    assert.equal(limiter.consume({ ip: '10.0.0.3', recipient: `other${i}@example.com` }).allowed, true);
+  }
+});
+
+test('take() keeps its own per-scope window', () => {
+  const { limiter, clock } = setup();
+  assert.equal(limiter.take('attempt', '1.2.3.4').allowed, true);
+  assert.equal(limiter.take('attempt', '1.2.3.4').allowed, true);
+
+  const blocked = limiter.take('attempt', '1.2.3.4');
+  assert.equal(blocked.allowed, false);
+  assert.equal(blocked.scope, 'attempt');
+  assert.equal(blocked.retryAfterSeconds, 10 * 60);
+
+  // Other IPs and the accepted-scan buckets are separate
+  assert.equal(limiter.take('attempt', '5.6.7.8').allowed, true);
+  assert.equal(limiter.consume({ ip: '1.2.3.4', recipient: 'client@example.com' }).allowed, true);
+
+  clock.advance(10 * MINUTE);
+  assert.equal(limiter.take('attempt', '1.2.3.4').allowed, true);
+});
+
+// ========== DEDUPE ==========
+
+test('remembers a submission for the dedupe window only', () => {
+  const { limiter, clock } = setup();
+  const fingerprint = submissionFingerprint('client@example.com', { totalRAM: 8, osVersion: '14.5' });
+  assert.equal(limiter.findDuplicate(fingerprint), null);
+
+  limiter.rememberSubmission(fingerprint, 'scan-1');
+  clock.advance(9 * MINUTE);
+  assert.equal(limiter.findDuplicate(fingerprint), 'scan-1');
+
+  clock.advance(MINUTE);
+  assert.equal(limiter.findDuplicate(fingerprint), null);
+});
+
+test('fingerprints ignore key order and the recipient case, but not the values', () => {
+  const a = submissionFingerprint('Client@Example.com', { totalRAM: 8, osVersion: '14.5' });
+  const b = submissionFingerprint('client@example.com', { osVersion: '14.5', totalRAM: 8 });
+  const c = submissionFingerprint('client@example.com', { osVersion: '14.5', totalRAM: 16 });
+  const d = submissionFingerprint('other@example.com', { osVersion: '14.5', totalRAM: 8 });
+
+  assert.equal(a, b);
+  assert.notEqual(a, c);
+  assert.notEqual(a, d);
+});
@@ -0,0 +1,80 @@
+// resend-webhooks.test.js - Svix signature checks on incoming Resend webhooks
+// Signatures are produced with signResendPayload, the same helper the replay script uses.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { verifyResendSignature, signResendPayload } from '../resend-webhooks.js';
+
+const SECRET = `whsec_${Buffer.from('test-signing-secret-0123456789').toString('base64')}`;
+const OTHER_SECRET = `whsec_${Buffer.from('some-other-secret-9876543210').toString('base64')}`;
+const NOW = Date.parse('2026-10-19T12:00:00Z');
+const TIMESTAMP = Math.floor(NOW / 1000);
+const BODY = JSON.stringify({ type: 'email.delivered', created_at: '2026-10-19T12:00:00.000Z', data: { email_id: 're_123' } });
+
+// The request fields verifyResendSignature reads, from the signed headers
+function signed(rawBody = BODY, { secret = SECRET, timestamp = TIMESTAMP } = {}) {
+  const headers = signResendPayload(rawBody, secret, { id: 'msg_test', timestamp });
+  return { rawBody, id: headers['svix-id'], timestamp: headers['svix-timestamp'], signature: headers['svix-signature'] };
+}
+
+// ========== ACCEPTED ==========
+
+test('accepts a correctly signed webhook', () => {
+  assert.equal(verifyResendSignature(signed(), SECRET, NOW), null);
+});
+
+test('accepts a timestamp inside the five-minute window either side', () => {
+  assert.equal(verifyResendSignature(signed(BODY, { timestamp: TIMESTAMP - 299 }), SECRET, NOW), null);
+  assert.equal(verifyResendSignature(signed(BODY, { timestamp: TIMESTAMP + 299 }), SECRET, NOW), null);
+});
+
+test('accepts any matching v1 entry while the secret rotates', () => {
+  const request = signed();
+  const old = signed(BODY, { secret: OTHER_SECRET }).signature;
+  assert.equal(verifyResendSignature({ ...request, signature: `${old} ${request.signature}` }, SECRET, NOW), null);
+});
+
+// ========== REJECTED ==========
+
+test('rejects a body changed after signing', () => {
+  const request = signed();
+  const tampered = { ...request, rawBody: request.rawBody.replace('email.delivered', 'email.complained') };
+  assert.equal(verifyResendSignature(tampered, SECRET, NOW), 'Invalid webhook signature');
+});
+
+test('rejects a signature made with another secret', () => {
+  assert.equal(verifyResendSignature(signed(BODY, { secret: OTHER_SECRET }), SECRET, NOW), 'Invalid webhook signature');
+});
+
+test('rejects a signature moved to another message id or timestamp', () => {
+  const request = signed();
+  assert.equal(verifyResendSignature({ ...request, id: 'msg_other' }, SECRET, NOW), 'Invalid webhook signature');
+  assert.equal(verifyResendSignature({ ...request, timestamp: String(TIMESTAMP + 1) }, SECRET, NOW), 'Invalid webhook signature');
+});
+
+test('rejects an expired or future-dated timestamp even when the signature matches', () => {
+  const expired = signed(BODY, { timestamp: TIMESTAMP - 301 });
+  const future = signed(BODY, { timestamp: TIMESTAMP + 301 });
+  assert.equal(verifyResendSignature(expired, SECRET, NOW), 'Webhook timestamp outside allowed window');
+  assert.equal(verifyResendSignature(future, SECRET, NOW), 'Webhook timestamp outside allowed window');
+  assert.equal(verifyResendSignature({ ...signed(), timestamp: 'yesterday' }, SECRET, NOW), 'Webhook timestamp outside allowed window');
+});
+
+test('rejects signatures that are not v1 or are malformed', () => {
+  const { signature, ...request } = signed();
+  const value = signature.split(',')[1];
+  for (const bad of [`v2,${value}`, value, 'v1,', 'v1,not-a-signature', `v1,${crypto.randomBytes(32).toString('base64')}`]) {
+    assert.equal(verifyResendSignature({ ...request, signature: bad }, SECRET, NOW), 'Invalid webhook signature', bad);
+  }
+});
+
+test('rejects a webhook missing any svix header', () => {
+  const request = signed();
+  for (const field of ['id', 'timestamp', 'signature']) {
+    assert.equal(
+      verifyResendSignature({ ...request, [field]: undefined }, SECRET, NOW),
+      'Missing svix-id, svix-timestamp or svix-signature header'
+    );
+  }
+});
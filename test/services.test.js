@@ -0,0 +1,39 @@
+// services.test.js - Which byModel price a scanned machine gets
+// Facts come from buildScanFacts, as the rules see them, so the catalog name is filled in the
+// same way it is for a real scan.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { priceService } from '../services.js';
+import { buildScanFacts } from '../analysis.js';
+
+function batteryPrice(data) {
+  return priceService('HW-BATTERY', buildScanFacts(data)).price;
+}
+
+// ========== BY MODEL ==========
+
+test('a MacNN,N MacBook Air gets the MacBook Air price, not the generic one', () => {
+  for (const macModel of ['Mac14,2', 'Mac15,12', 'Mac16,12']) {
+    assert.deepEqual(batteryPrice({ platform: 'mac', macModel }), { min: 199, max: 199 }, macModel);
+  }
+});
+
+test('the family comes from the identifier when it names one', () => {
+  assert.deepEqual(batteryPrice({ platform: 'mac', macModel: 'MacBookAir10,1' }), { min: 199, max: 199 });
+  // Not in the catalog yet
+  assert.deepEqual(batteryPrice({ platform: 'mac', macModel: 'MacBookAir11,1' }), { min: 199, max: 199 });
+});
+
+test('a catalog name beats the family', () => {
+  assert.deepEqual(batteryPrice({ platform: 'mac', macModel: 'Mac16,5' }), { min: 299, max: 299 });
+});
+
+test('a family without its own price falls back to the catalog price', () => {
+  assert.deepEqual(batteryPrice({ platform: 'mac', macModel: 'Mac14,3' }), { min: 249, max: 249 });
+  assert.deepEqual(batteryPrice({ platform: 'mac', macModel: 'Mac99,1' }), { min: 249, max: 249 });
+});
+
+test('every PC gets the PC price', () => {
+  assert.deepEqual(batteryPrice({ platform: 'windows', osVersion: '10.0.19045' }), { min: 99, max: 199 });
+});
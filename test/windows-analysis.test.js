@@ -0,0 +1,88 @@
+// windows-analysis.test.js - Telling Windows releases apart from the name and NT version a scan reports
+// Windows 11 still calls itself 10.0, and 7 and 8.1 have build numbers too, so neither the name
+// nor the build alone is enough.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { detectWindowsVersion } from '../windows-analysis.js';
+import { analyzeScanResults } from '../analysis.js';
+
+// A ThinkPad T480 - the version fields are what each test changes
+const BASE = {
+  clientEmail: 'pc@example.com',
+  clientName: 'Robin',
+  platform: 'windows',
+  systemManufacturer: 'LENOVO',
+  systemModel: '20L5CTO1WW',
+  systemFamily: 'ThinkPad T480',
+  cpuBrand: 'Intel(R) Core(TM) i5-7300U CPU @ 2.60GHz',
+  totalRAM: 8,
+  memoryFormFactor: 'SODIMM',
+  tpmVersion: 2,
+  biosMode: 'UEFI',
+  secureBootEnabled: false,
+  bitLockerEnabled: false,
+  defenderEnabled: false,
+  batteryCapacity: 80,
+  batteryCycles: 400,
+  lastBackupDate: 'Never',
+  firewallEnabled: true,
+  freeStoragePercent: 30,
+  totalStorage: 256,
+  storageType: 'SSD',
+  osName: 'Microsoft Windows 10 Pro',
+  osVersion: '10.0.19045',
+  softwareUpdateStatus: '2 updates',
+  ramSpeed: 2400
+};
+
+// ========== VERSION DETECTION ==========
+
+test('reads the release from the name the scan reports', () => {
+  assert.equal(detectWindowsVersion({ osName: 'Microsoft Windows 7 Professional', osVersion: '6.1.7601' }), 7);
+  assert.equal(detectWindowsVersion({ osName: 'Microsoft Windows 8.1 Pro', osVersion: '6.3.9600' }), 8.1);
+  assert.equal(detectWindowsVersion({ osName: 'Microsoft Windows 10 Pro', osVersion: '10.0.19045' }), 10);
+  assert.equal(detectWindowsVersion({ osName: 'Microsoft Windows 11 Home', osVersion: '10.0.22631' }), 11);
+});
+
+test('falls back to the NT version when the name does not say', () => {
+  assert.equal(detectWindowsVersion({ osName: 'Microsoft Windows', osVersion: '6.1.7601' }), 7);
+  assert.equal(detectWindowsVersion({ osVersion: '6.2.9200' }), 8);
+  assert.equal(detectWindowsVersion({ osVersion: '6.3.9600' }), 8.1);
+  assert.equal(detectWindowsVersion({ osVersion: '6.0.6002' }), 6);
+  assert.equal(detectWindowsVersion({ osVersion: '5.1.2600' }), 6);
+  assert.equal(detectWindowsVersion({ osVersion: '10.0.19045' }), 10);
+  assert.equal(detectWindowsVersion({ osVersion: '10.0.26100' }), 11);
+});
+
+test('a Windows 11 build wins over a name that still says 10', () => {
+  assert.equal(detectWindowsVersion({ osName: 'Microsoft Windows 10 Pro', osVersion: '10.0.22631' }), 11);
+});
+
+test('returns null when the scan says nothing usable', () => {
+  assert.equal(detectWindowsVersion({}), null);
+  assert.equal(detectWindowsVersion({ osName: 'Microsoft Windows', osVersion: '' }), null);
+});
+
+// ========== RULES ==========
+
+function ruleIds(fields) {
+  return analyzeScanResults({ ...BASE, ...fields }).flags.map(flag => flag.ruleId);
+}
+
+test('Windows 7 and 8.1 get the legacy-Windows flag, not the Windows 10 ones', () => {
+  for (const fields of [
+    { osName: 'Microsoft Windows 7 Professional', osVersion: '6.1.7601' },
+    { osName: 'Microsoft Windows 8.1 Pro', osVersion: '6.3.9600' },
+    { osName: 'Microsoft Windows', osVersion: '6.1.7601' }
+  ]) {
+    const ids = ruleIds(fields);
+    assert.ok(ids.includes('windows-legacy-os'), `${fields.osVersion}: ${ids}`);
+    assert.ok(!ids.some(id => id.startsWith('windows-10-')), `${fields.osVersion}: ${ids}`);
+  }
+});
+
+test('Windows 10 and 11 never get the legacy-Windows flag', () => {
+  assert.ok(!ruleIds({ osName: 'Microsoft Windows 10 Pro', osVersion: '10.0.19045' }).includes('windows-legacy-os'));
+  assert.ok(!ruleIds({ osName: 'Microsoft Windows 11 Home', osVersion: '10.0.22631' }).includes('windows-legacy-os'));
+});
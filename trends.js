@@ -0,0 +1,232 @@
+// trends.js - Device identity and scan-over-scan trend tracking
+// Clients rescan after a battery swap or RAM upgrade - show them what changed, not just a snapshot
+
+import crypto from 'crypto';
+import { createTranslator } from './i18n.js';
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+const DAYS_PER_MONTH = 30.44;
+
+// Below this many days between scans, per-month rates are noise
+const MIN_DAYS_FOR_RATE = 7;
+
+// Backup buckets line up with the 30-day MODERATE threshold in analyzeScanResults
+const BACKUP_STALE_DAYS = 30;
+
+// ========== DEVICE IDENTITY ==========
+
+// Prefer the hardware UUID, fall back to the serial. Either way we only keep a hash,
+// so serial numbers never sit in the database in the clear.
+export function deviceIdFor(data) {
+  const raw = data.hardwareUUID || data.serialNumber;
+  if (!raw) return null;
+
+  return crypto.createHash('sha256')
+    .update(String(raw).trim().toUpperCase())
+    .digest('hex')
+    .substring(0, 32);
+}
+
+// ========== TREND CALCULATION ==========
+
+function daysBetween(from, to) {
+  return Math.max(0, Math.round((new Date(to) - new Date(from)) / DAY_MS));
+}
+
+function perMonth(change, days) {
+  if (days < MIN_DAYS_FOR_RATE) return null;
+  return Math.round((change / (days / DAYS_PER_MONTH)) * 10) / 10;
+}
+
+function formatSince(date, now) {
+  const d = new Date(date);
+  const sameYear = d.getFullYear() === new Date(now).getFullYear();
+  return d.toLocaleString('en-US', sameYear ? { month: 'long' } : { month: 'long', year: 'numeric' });
+}
+
+function backupStatus(payload, scannedAt) {
+  const backup = payload.lastBackupDate;
+  if (!backup || backup === 'Never' || backup === 'Unknown') return 'NONE';
+
+  const backupTime = new Date(backup).getTime();
+  if (isNaN(backupTime)) return 'NONE';
+
+  return daysBetween(backup, scannedAt) > BACKUP_STALE_DAYS ? 'STALE' : 'CURRENT';
+}
+
+function batteryTrend(points, now) {
+  const withBattery = points.filter(p => typeof p.payload.batteryCapacity === 'number');
+  if (withBattery.length < 2) return null;
+
+  // A capacity jump or cycle count reset means the battery was swapped -
+  // measure wear from the first scan on the new battery, not the old one
+  let baselineIndex = 0;
+  for (let i = 1; i < withBattery.length; i++) {
+    const prev = withBattery[i - 1].payload;
+    const curr = withBattery[i].payload;
+    const capacityJump = curr.batteryCapacity - prev.batteryCapacity >= 10;
+    const cycleReset = (curr.batteryCycles || 0) < (prev.batteryCycles || 0);
+    if (capacityJump || cycleReset) baselineIndex = i;
+  }
+
+  const current = withBattery[withBattery.length - 1];
+  const replaced = baselineIndex > 0;
+
+  // Battery was replaced on the latest scan - nothing to compare against yet
+  if (baselineIndex === withBattery.length - 1) {
+    return { replaced, replacedSince: withBattery[baselineIndex - 1].at, capacityChange: null, capacityLostPerMonth: null, cycleChange: null, cyclesPerMonth: null, since: null, sinceLabel: null };
+  }
+
+  const baseline = withBattery[baselineIndex];
+  const days = daysBetween(baseline.at, current.at);
+  const capacityChange = current.payload.batteryCapacity - baseline.payload.batteryCapacity;
+  const cycleChange = (current.payload.batteryCycles || 0) - (baseline.payload.batteryCycles || 0);
+  const lostPerMonth = perMonth(-capacityChange, days);
+
+  return {
+    replaced,
+    replacedSince: replaced ? withBattery[baselineIndex - 1].at : null,
+    capacityChange,
+    capacityLostPerMonth: lostPerMonth === null ? null : Math.max(0, lostPerMonth),
+    cycleChange,
+    cyclesPerMonth: perMonth(cycleChange, days),
+    since: baseline.at,
+    sinceLabel: formatSince(baseline.at, now)
+  };
+}
+
+function storageTrend(points, now) {
+  const withStorage = points.filter(p => typeof p.payload.freeStoragePercent === 'number');
+  if (withStorage.length < 2) return null;
+
+  const baseline = withStorage[0];
+  const current = withStorage[withStorage.length - 1];
+  const days = daysBetween(baseline.at, current.at);
+  const change = current.payload.freeStoragePercent - baseline.payload.freeStoragePercent;
+
+  let direction = 'stable';
+  if (change <= -5) direction = 'shrinking';
+  else if (change >= 5) direction = 'growing';
+
+  return {
+    fromPercent: baseline.payload.freeStoragePercent,
+    toPercent: current.payload.freeStoragePercent,
+    freePercentChange: change,
+    freePercentPerMonth: perMonth(change, days),
+    direction,
+    since: baseline.at,
+    sinceLabel: formatSince(baseline.at, now)
+  };
+}
+
+function memoryTrend(points, now) {
+  const withRAM = points.filter(p => typeof p.payload.totalRAM === 'number');
+  if (withRAM.length < 2) return null;
+
+  const baseline = withRAM[0];
+  const current = withRAM[withRAM.length - 1];
+  if (baseline.payload.totalRAM === current.payload.totalRAM) return null;
+
+  return {
+    fromGB: baseline.payload.totalRAM,
+    toGB: current.payload.totalRAM,
+    since: baseline.at,
+    sinceLabel: formatSince(baseline.at, now)
+  };
+}
+
+function backupTrend(points) {
+  const statuses = points.map(p => ({ at: p.at, status: backupStatus(p.payload, p.at) }));
+  const current = statuses[statuses.length - 1];
+
+  // Walk back to the first scan of the current unbroken run
+  let runStart = statuses.length - 1;
+  while (runStart > 0 && statuses[runStart - 1].status === current.status) runStart--;
+
+  if (runStart === 0) {
+    return { status: current.status, previousStatus: null, changedAt: null, daysSinceChange: null };
+  }
+
+  // Scans are sporadic, so pin the change to when it actually happened where the
+  // backup date tells us: a new backup landing, or an old one crossing the stale line
+  const firstInRun = points[runStart];
+  let changedAt = new Date(firstInRun.at);
+  if (current.status === 'CURRENT') {
+    changedAt = new Date(firstInRun.payload.lastBackupDate);
+  } else if (current.status === 'STALE') {
+    changedAt = new Date(new Date(firstInRun.payload.lastBackupDate).getTime() + BACKUP_STALE_DAYS * DAY_MS);
+  }
+
+  // Never earlier than the previous scan, which still saw the old status
+  const previousAt = new Date(points[runStart - 1].at);
+  if (changedAt < previousAt) changedAt = previousAt;
+
+  return {
+    status: current.status,
+    previousStatus: statuses[runStart - 1].status,
+    changedAt: changedAt.toISOString(),
+    daysSinceChange: daysBetween(changedAt, current.at)
+  };
+}
+
+// Client-facing one-liners: "Your battery dropped 6% since March". Exported so the emails can
+// re-describe a stored trend in the client's language; t defaults to English.
+export function describeTrends({ battery, storage, memory, backup }, t = createTranslator()) {
+  const highlights = [];
+
+  if (battery?.replaced && battery.capacityChange === null) {
+    highlights.push(t('trends.batteryReplaced'));
+  } else if (battery?.capacityChange < 0) {
+    const key = battery.replaced ? 'trends.batteryDroppedReplacement' : 'trends.batteryDropped';
+    highlights.push(t(key, { percent: Math.abs(battery.capacityChange), since: battery.since }));
+  } else if (battery?.replaced) {
+    highlights.push(t('trends.batterySteady', { since: battery.since }));
+  }
+
+  if (memory && memory.toGB > memory.fromGB) {
+    highlights.push(t('trends.memoryUpgraded', { from: memory.fromGB, to: memory.toGB, since: memory.since }));
+  }
+
+  if (storage && storage.direction === 'shrinking') {
+    highlights.push(t('trends.storageShrinking', { from: storage.fromPercent, to: storage.toPercent, since: storage.since }));
+  } else if (storage && storage.direction === 'growing') {
+    highlights.push(t('trends.storageGrowing', { from: storage.fromPercent, to: storage.toPercent, since: storage.since }));
+  }
+
+  if (backup?.changedAt) {
+    if (backup.status === 'CURRENT') {
+      highlights.push(t('trends.backupsResumed', { count: backup.daysSinceChange }));
+    } else if (backup.previousStatus === 'CURRENT') {
+      highlights.push(t('trends.backupsStale', { count: backup.daysSinceChange }));
+    }
+  }
+
+  return highlights;
+}
+
+// history: earlier scans for the same device (any order); data: the payload being analyzed now
+export function computeDeviceTrends(history, data, now = new Date()) {
+  if (!history || history.length === 0) return null;
+
+  const points = history
+    .map(scan => ({ at: scan.createdAt, payload: scan.payload }))
+    .sort((a, b) => a.at.localeCompare(b.at));
+  points.push({ at: new Date(now).toISOString(), payload: data });
+
+  const battery = batteryTrend(points, now);
+  const storage = storageTrend(points, now);
+  const memory = memoryTrend(points, now);
+  const backup = backupTrend(points);
+
+  return {
+    scanCount: points.length,
+    firstScanAt: points[0].at,
+    previousScanAt: points[points.length - 2].at,
+    daysSincePreviousScan: daysBetween(points[points.length - 2].at, now),
+    battery,
+    storage,
+    memory,
+    backup,
+    highlights: describeTrends({ battery, storage, memory, backup })
+  };
+}
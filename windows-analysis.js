@@ -0,0 +1,241 @@
+// windows-analysis.js - Windows PC facts: CPU generation, Windows 11 eligibility and OEM model names
+// PCs have no Mac model identifier to date them by. The CPU name tells us the generation (and so
+// roughly the year), SMBIOS manufacturer/model strings name the machine, and the memory form
+// factor says whether the RAM can be upgraded. analysis.js merges these facts in and runs
+// rules/windows.json over them, so the flags come out in the same shape as the Mac ones.
+
+import { createTranslator } from './i18n.js';
+
+// Launch year per Intel Core i3/i5/i7/i9 generation - 1st gen used 3-digit model numbers
+const INTEL_CORE_YEARS = { 1: 2010, 2: 2011, 3: 2012, 4: 2013, 5: 2015, 6: 2015, 7: 2016, 8: 2017, 9: 2018, 10: 2019, 11: 2020, 12: 2021, 13: 2022, 14: 2023 };
+
+// Launch year per AMD Ryzen series - the first digit of the model number
+const RYZEN_YEARS = { 1: 2017, 2: 2018, 3: 2019, 4: 2020, 5: 2021, 6: 2022, 7: 2023, 8: 2024, 9: 2024 };
+
+// Windows 11 minimums - Microsoft's CPU list starts at 8th gen Intel Core and Ryzen 2000
+const WIN11_MIN_INTEL_GENERATION = 8;
+const WIN11_MIN_RYZEN_SERIES = 2;
+const WIN11_MIN_RAM_GB = 4;
+const WIN11_MIN_STORAGE_GB = 64;
+
+// Microsoft's end of support for Windows 10 - after it, a PC that can't take 11 gets no more fixes
+const WINDOWS_10_END_OF_SUPPORT = new Date('2025-10-14');
+
+// Windows 11 still reports itself as 10.0 - the build number is what tells them apart
+const WIN11_FIRST_BUILD = 22000;
+
+// NT 6.x minor version → Windows release (6.0 is Vista)
+const LEGACY_NT_VERSIONS = { 1: 7, 2: 8, 3: 8.1 };
+
+// SMBIOS memory form factors for RAM on the board rather than in a slot
+const SOLDERED_MEMORY = /row of chips|on-?board|soldered|lpddr/i;
+
+// SMBIOS manufacturer strings → the brand the client knows
+const OEM_BRANDS = [
+  [/^dell/i, 'Dell'],
+  [/^(hp|hewlett[- ]packard)\b/i, 'HP'],
+  [/^lenovo/i, 'Lenovo'],
+  [/^asus/i, 'ASUS'],
+  [/^acer/i, 'Acer'],
+  [/^(micro-star|msi)\b/i, 'MSI'],
+  [/^microsoft/i, 'Microsoft'],
+  [/^samsung/i, 'Samsung'],
+  [/^(toshiba|dynabook)/i, 'Toshiba'],
+  [/^gigabyte/i, 'Gigabyte'],
+  [/^razer/i, 'Razer'],
+  [/^lg electronics/i, 'LG'],
+  [/^fujitsu/i, 'Fujitsu'],
+  [/^panasonic/i, 'Panasonic']
+];
+
+// What self-built and white-box boards report instead of a name
+const PLACEHOLDER_NAME = /^(to be filled by o\.?e\.?m\.?|system (product name|manufacturer|version)|default string|not applicable|not specified|none|o\.?e\.?m\.?|x\.x|\s*)$/i;
+
+// Lenovo puts a machine-type code in the model field ("20L5CTO1WW") and the name in the family
+const LENOVO_MACHINE_TYPE = /^[0-9A-Z]{10}$/;
+
+// ========== CPU GENERATION ==========
+
+function ordinal(n) {
+  const suffix = n % 100 >= 11 && n % 100 <= 13 ? 'th' : ({ 1: 'st', 2: 'nd', 3: 'rd' }[n % 10] || 'th');
+  return `${n}${suffix}`;
+}
+
+// { vendor, generation, label, year, windows11Supported } or null when the name isn't recognized
+export function detectCpuGeneration(cpuBrand) {
+  const name = String(cpuBrand || '');
+
+  // "Core Ultra 7 155H" (Series 1, 2023) and plain "Core 7 150U" (2024)
+  let match = name.match(/Core(?:\(TM\))?\s+Ultra\s+\d\s+(\d)\d{2}/i);
+  if (match) {
+    const series = parseInt(match[1]);
+    return { vendor: 'Intel', generation: `Ultra ${series}`, label: `Intel Core Ultra (Series ${series})`, year: series === 1 ? 2023 : 2024, windows11Supported: true };
+  }
+  match = name.match(/Core(?:\(TM\))?\s+[3579]\s+(\d)\d{2}[A-Z]*\b/i);
+  if (match) {
+    return { vendor: 'Intel', generation: `Core ${match[1]}`, label: `Intel Core (Series ${match[1]})`, year: 2024, windows11Supported: true };
+  }
+
+  // "Core(TM) i7-8550U" → 8th gen, "i5-1135G7" → 11th, "i9-13900K" → 13th, "i7 CPU 920" → 1st
+  match = name.match(/\bi[3579](?:[- ]|\s+CPU\s+(?:[A-Z]\s+)?)(\d{3,5})/i);
+  if (match) {
+    const digits = match[1];
+    let generation;
+    if (digits.length === 3) generation = 1;
+    else if (digits.length === 5 || (digits.length === 4 && digits.startsWith('1'))) generation = parseInt(digits.substring(0, 2));
+    else generation = parseInt(digits[0]);
+
+    if (INTEL_CORE_YEARS[generation]) {
+      return {
+        vendor: 'Intel',
+        generation,
+        label: `${ordinal(generation)} gen Intel Core`,
+        year: INTEL_CORE_YEARS[generation],
+        windows11Supported: generation >= WIN11_MIN_INTEL_GENERATION
+      };
+    }
+  }
+
+  if (/Core(?:\(TM\))?\s*2\s+(Duo|Quad|Extreme)/i.test(name)) {
+    return { vendor: 'Intel', generation: 'Core 2', label: 'Intel Core 2', year: 2008, windows11Supported: false };
+  }
+
+  // "Ryzen Threadripper 1950X", "Ryzen 5 3600", "Ryzen 7 PRO 4750U", "Ryzen AI 9 HX 370"
+  if (/Ryzen\s+AI\b/i.test(name)) {
+    return { vendor: 'AMD', generation: 'AI', label: 'AMD Ryzen AI', year: 2024, windows11Supported: true };
+  }
+  match = name.match(/Ryzen\s+(?:Threadripper\s+|\d\s+)(?:PRO\s+)?(\d)\d{3}/i);
+  if (match) {
+    const series = parseInt(match[1]);
+    if (RYZEN_YEARS[series]) {
+      return {
+        vendor: 'AMD',
+        generation: series,
+        label: `AMD Ryzen ${series}000 series`,
+        year: RYZEN_YEARS[series],
+        windows11Supported: series >= WIN11_MIN_RYZEN_SERIES
+      };
+    }
+  }
+
+  // Pre-Ryzen AMD: FX and the A-series APUs
+  if (/\bFX-\d{4}|\bA(4|6|8|9|10|12)-\d{4}/i.test(name)) {
+    return { vendor: 'AMD', generation: 'pre-Ryzen', label: 'AMD FX/A-series', year: 2013, windows11Supported: false };
+  }
+
+  // Pentium, Celeron, Atom and anything else - too varied to date from the name
+  return null;
+}
+
+// ========== WINDOWS VERSION ==========
+
+// 11, 10, 8.1, 8, 7 - or 6 for Vista/XP, null when the scan didn't say. Without a name, the NT
+// version decides: 6.1 is 7, 6.2 is 8, 6.3 is 8.1, and only 10.0 builds are 10 (or 11 from 22000).
+export function detectWindowsVersion({ osName, osVersion }) {
+  const name = String(osName || '');
+  const [major, minor, build] = String(osVersion || '').split('.').map(part => parseInt(part));
+
+  if (/windows\s*11/i.test(name) || (major === 10 && build >= WIN11_FIRST_BUILD)) return 11;
+  if (/windows\s*10/i.test(name)) return 10;
+
+  const legacy = name.match(/windows\s*(8\.1|8|7)\b/i);
+  if (legacy) return parseFloat(legacy[1]);
+  if (/windows\s*(vista|xp)/i.test(name)) return 6;
+
+  if (major === 6) return LEGACY_NT_VERSIONS[minor] ?? 6;
+  if (major < 6) return 6;
+  if (major === 10 && build > 0) return 10;
+  return null;
+}
+
+// ========== FACTS ==========
+
+// Reasons Windows 11 won't install - only for things the scan actually reported
+function windows11Blockers(data, cpu) {
+  const blockers = [];
+  if (cpu && !cpu.windows11Supported) blockers.push(`${cpu.label} processor`);
+  if (data.tpmVersion !== undefined && data.tpmVersion < 2) blockers.push(data.tpmVersion > 0 ? `TPM ${data.tpmVersion}` : 'no TPM chip');
+  if (data.biosMode && data.biosMode.toLowerCase() === 'legacy') blockers.push('legacy BIOS (no Secure Boot)');
+  if (data.totalRAM && data.totalRAM < WIN11_MIN_RAM_GB) blockers.push(`${data.totalRAM}GB RAM`);
+  if (data.totalStorage && data.totalStorage < WIN11_MIN_STORAGE_GB) blockers.push(`${data.totalStorage}GB storage`);
+  return blockers;
+}
+
+// Years of security updates left for a PC stuck on its current Windows, null when it can still
+// move to a supported one (or we couldn't tell)
+function supportYearsLeft(windowsVersion, windows11Ready, now = new Date()) {
+  if (windowsVersion !== null && windowsVersion < 10) return 0;
+  if (windowsVersion !== 10 || windows11Ready !== false) return null;
+  return Math.max(Math.floor((WINDOWS_10_END_OF_SUPPORT - now) / (1000 * 60 * 60 * 24 * 365)), 0);
+}
+
+// The Windows-specific facts the rules look at - analysis.js adds the shared ones
+export function buildWindowsFacts(data) {
+  const cpu = detectCpuGeneration(data.cpuBrand);
+  const blockers = windows11Blockers(data, cpu);
+  const hasSolderedRAM = SOLDERED_MEMORY.test(data.memoryFormFactor || '');
+
+  // Ready only when every requirement was checked; a missing CPU match or TPM reading means unknown
+  let windows11Ready;
+  if (blockers.length > 0) windows11Ready = false;
+  else if (cpu && data.tpmVersion !== undefined) windows11Ready = true;
+
+  // Third-party antivirus turns Defender's real-time protection off - that's fine
+  let antivirusActive;
+  if (data.defenderEnabled === true || (data.antivirusProduct && !/defender/i.test(data.antivirusProduct))) antivirusActive = true;
+  else if (data.defenderEnabled === false) antivirusActive = false;
+
+  const windowsVersion = detectWindowsVersion(data);
+
+  return {
+    modelYear: cpu ? cpu.year : null,
+    cpuGenerationLabel: cpu ? cpu.label : null,
+    windowsVersion,
+    windows11Ready,
+    supportYearsLeft: supportYearsLeft(windowsVersion, windows11Ready),
+    windows11Blockers: blockers.join(', '),
+    hasSolderedRAM,
+    ramUpgradeable: !hasSolderedRAM,
+    antivirusActive
+  };
+}
+
+// ========== MODEL NAMES ==========
+
+function brandOf(manufacturer) {
+  const value = String(manufacturer || '').trim();
+  if (PLACEHOLDER_NAME.test(value)) return null;
+
+  const known = OEM_BRANDS.find(([pattern]) => pattern.test(value));
+  return known ? known[1] : value.replace(/,?\s+(inc|corp(oration)?|co|ltd|llc|gmbh|computer)\b.*$/i, '').trim() || null;
+}
+
+function productOf({ systemModel, systemFamily }, brand) {
+  let model = String(systemModel || '').trim();
+  const family = String(systemFamily || '').trim();
+
+  if (brand === 'Lenovo' && LENOVO_MACHINE_TYPE.test(model) && family && !PLACEHOLDER_NAME.test(family)) model = family;
+  if (PLACEHOLDER_NAME.test(model)) return null;
+
+  // "HP EliteBook 840 G5" already carries the brand
+  return brand && model.toLowerCase().startsWith(brand.toLowerCase()) ? model.substring(brand.length).trim() : model;
+}
+
+// "Dell XPS 13 9370", "Lenovo ThinkPad T480" - "Custom-built PC" when the board has no real name
+export function formatWindowsModelForClient(data, t = createTranslator()) {
+  const brand = brandOf(data.systemManufacturer);
+  const product = productOf(data, brand);
+
+  if (brand && product) return `${brand} ${product}`;
+  if (product || brand) return product || brand;
+  return data.systemManufacturer || data.systemModel ? t('common.customPc') : t('common.unknownModel');
+}
+
+// The raw SMBIOS strings plus what we made of the CPU, for the technician
+export function formatWindowsModelForInternal(data) {
+  const { systemManufacturer: maker = '', systemModel: model = '', systemFamily: family = '' } = data;
+  let raw = (model.toLowerCase().startsWith(maker.toLowerCase()) ? model : `${maker} ${model}`).trim() || 'Unknown Model';
+  if (LENOVO_MACHINE_TYPE.test(model) && family) raw += ` / ${family}`;
+  const cpu = detectCpuGeneration(data.cpuBrand);
+  return cpu ? `${raw} (${cpu.label}, ${cpu.year})` : raw;
+}